@@ -0,0 +1,98 @@
+/**
+ * @file Interbull 动物ID解析与规范化
+ * @description 解析形如 'HO840M3139112660'、'HOUSAM74261651'、'HOLUSAM000074261651' 的国际 ID：
+ *              品种代码 + 国家代码（ISO 3166 数字或字母）+ 性别 + 登记号。
+ *              同一头牛常以 'HOUSA…' 与 'HO840…' 两种写法出现，规范化后二者得到相同的 ID。
+ */
+
+/**
+ * ISO 3166-1 字母代码到数字代码的映射（主要奶牛育种国家）。
+ */
+const COUNTRY_NUMERIC_CODES = {
+    ARG: '032', AUS: '036', AUT: '040', BEL: '056', BRA: '076', CAN: '124', CHE: '756', CHL: '152',
+    CHN: '156', CZE: '203', DEU: '276', DNK: '208', ESP: '724', EST: '233', FIN: '246', FRA: '250',
+    GBR: '826', HRV: '191', HUN: '348', IRL: '372', ISR: '376', ITA: '380', JPN: '392', KOR: '410',
+    LTU: '440', LUX: '442', LVA: '428', MEX: '484', NLD: '528', NOR: '578', NZL: '554', POL: '616',
+    PRT: '620', RUS: '643', SVK: '703', SVN: '705', SWE: '752', TUR: '792', UKR: '804', URY: '858',
+    USA: '840', ZAF: '710'
+};
+
+const COUNTRY_ALPHA_CODES = Object.fromEntries(Object.entries(COUNTRY_NUMERIC_CODES).map(([alpha, numeric]) => [numeric, alpha]));
+
+/**
+ * Interbull 三字母品种代码到常用两字母代码的映射。
+ */
+const BREED_SHORT_CODES = { AYR: 'AY', BSW: 'BS', GUE: 'GU', HOL: 'HO', JER: 'JE' };
+
+const KNOWN_BREED_CODES = new Set([...Object.keys(BREED_SHORT_CODES), ...Object.values(BREED_SHORT_CODES)]);
+
+// 品种(3 位或 2 位字母) + 国家(3 位字母或数字) + 性别(M/F) + 登记号。登记号也可以含字母，
+// 同一个ID可能按两种品种长度都能切分（如 'HOUSAMF1234' 可切为 HOU/SAM/F 或 HO/USA/M），因此分别尝试
+const ANIMAL_ID_PATTERNS = [
+    /^([A-Z]{3})([A-Z]{3}|\d{3})([MF])([A-Z0-9]+)$/,
+    /^([A-Z]{2})([A-Z]{3}|\d{3})([MF])([A-Z0-9]+)$/
+];
+
+/**
+ * 解析 Interbull 格式的动物ID。
+ * @param {string|number} id - 动物ID。
+ * @returns {{breed: string, countryAlpha: string|null, countryNumeric: string|null, sex: 'M'|'F', number: string, canonical: string}|null}
+ *          解析结果；breed 为两字母品种代码，number 为去掉前导零的登记号，canonical 为规范化后的ID。
+ *          品种代码可能是两位或三位字母，两种切分都会尝试，采用国家代码有效且品种代码已知的一种。
+ *          ID 不符合格式或国家代码未知时返回 null。
+ * @example
+ * parseAnimalId('HOUSAM74261651');
+ * // -> { breed: 'HO', countryAlpha: 'USA', countryNumeric: '840', sex: 'M', number: '74261651', canonical: 'HO840M74261651' }
+ */
+function parseAnimalId(id) {
+    if (id === null || id === undefined) return null;
+    const text = String(id).trim().toUpperCase();
+
+    // 舍弃国家代码未知的切分；都可用时优先品种代码已知的，其次国家代码在表中的，仍相同时取三位品种代码
+    const candidates = [];
+    for (const pattern of ANIMAL_ID_PATTERNS) {
+        const match = pattern.exec(text);
+        if (!match) continue;
+        const [, breedCode, countryCode, sex, registration] = match;
+        const isNumericCountry = /^\d{3}$/.test(countryCode);
+        const countryNumeric = isNumericCountry ? countryCode : COUNTRY_NUMERIC_CODES[countryCode];
+        if (!countryNumeric) continue;
+        const score = (KNOWN_BREED_CODES.has(breedCode) ? 2 : 0) + (COUNTRY_ALPHA_CODES[countryNumeric] ? 1 : 0);
+        candidates.push({ breedCode, countryCode, isNumericCountry, countryNumeric, sex, registration, score });
+    }
+    if (candidates.length === 0) return null;
+    const { breedCode, countryCode, isNumericCountry, countryNumeric, sex, registration } =
+        candidates.reduce((best, candidate) => candidate.score > best.score ? candidate : best);
+
+    const breed = BREED_SHORT_CODES[breedCode] || breedCode;
+    const number = registration.replace(/^0+(?=.)/, '');
+    return {
+        breed,
+        countryAlpha: COUNTRY_ALPHA_CODES[countryNumeric] || (isNumericCountry ? null : countryCode),
+        countryNumeric,
+        sex,
+        number,
+        canonical: `${breed}${countryNumeric}${sex}${number}`
+    };
+}
+
+/**
+ * 将动物ID规范化：可解析的 Interbull ID 转换为“两字母品种 + 数字国家代码 + 性别 + 登记号”的形式，
+ * 其余ID（如场内编号 '220057'）仅去除首尾空白后原样返回。
+ * @param {string|number} id - 动物ID。
+ * @returns {string} 规范化后的ID。
+ * @example
+ * normalizeAnimalId('HOUSAM74261651');      // -> 'HO840M74261651'
+ * normalizeAnimalId('HOLUSAM000074261651'); // -> 'HO840M74261651'
+ * normalizeAnimalId('220057');              // -> '220057'
+ */
+function normalizeAnimalId(id) {
+    const parsed = parseAnimalId(id);
+    return parsed ? parsed.canonical : String(id).trim();
+}
+
+module.exports = {
+    parseAnimalId,
+    normalizeAnimalId,
+    COUNTRY_NUMERIC_CODES
+};
@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+/**
+ * @file 近交系数批量计算命令行工具
+ * @description 代替手工编辑 test4.js / test5.js 中内联的母牛、公牛数据：从 JSON 或 CSV 文件读取谱系记录，
+ *              按指定的计算器配置批量计算，并将结果写为 CSV 或 JSON。
+ * @example
+ * node cli.js calc --cows cows.json --bulls bulls.json --method tabular --out results.csv
+ * node cli.js matrix --cows cows.csv --bulls bulls.csv --out matrix.csv
+ * node cli.js plan --cows cows.json --bulls bulls.json --max-f 0.0625 --bull-cap 20 --out plan.csv
+ * node cli.js validate --cows cows.json --bulls bulls.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+    createCalculator,
+    resultsToCSV,
+    findInvalidRecords,
+    parseFormat,
+    parsePedigreeTable,
+    InbreedingError,
+    PRESETS,
+    CALCULATION_METHODS,
+    PARENT_POLICIES,
+    PEDIGREE_SCOPES,
+    CYCLE_POLICIES
+} = require('./index.js');
+
+/**
+ * 退出码。
+ * - OK: 计算或检查成功完成。
+ * - VALIDATION_ERROR: 输入记录无效（含无效的动物 ID）、谱系存在环路或冲突（'reject' 策略），或 validate 发现问题。
+ * - USAGE_ERROR: 命令行参数错误，或输入文件无法读取、解析。
+ * - UNEXPECTED_ERROR: 运行中出现上述之外的意外错误。
+ */
+const EXIT_CODES = { OK: 0, VALIDATION_ERROR: 1, USAGE_ERROR: 2, UNEXPECTED_ERROR: 3 };
+
+const COMMANDS = ['calc', 'matrix', 'plan', 'validate'];
+const OUTPUT_FORMATS = ['csv', 'json'];
+
+const USAGE = `用法: node cli.js <命令> [选项]
+
+命令:
+  calc        计算每头母牛与每头公牛配对后代的近交系数
+  matrix      计算母牛 × 公牛的共祖系数矩阵
+  plan        制定选配方案：为每头母牛指定一头公牛，使后代的平均近交系数最小
+  validate    检查谱系记录中的环路、父母冲突与性别冲突，发现问题时以退出码 ${EXIT_CODES.VALIDATION_ERROR} 结束
+
+选项:
+  --cows <文件>            母牛谱系记录（.json 或 .csv/.tsv/.txt）
+  --bulls <文件>           公牛谱系记录（格式同上）
+  --preset <名称>          计算器预设: ${Object.keys(PRESETS).join(', ')}（默认 isolated），diagnostic 的调试信息写到标准错误
+  --method <方法>          计算方法: ${CALCULATION_METHODS.join(', ')}
+  --scope <范围>           谱系范围: ${PEDIGREE_SCOPES.join(', ')}
+  --parent-policy <策略>   父母冲突处理策略: ${PARENT_POLICIES.join(', ')}
+  --cycle-policy <策略>    环路处理策略: ${CYCLE_POLICIES.join(', ')}
+  --normalize-ids          规范化 Interbull ID，合并同一个体的不同写法
+  --explain                在 JSON 结果中列出近交来源（仅 calc）
+  --ancestral              另外计算 Ballou 与 Kalinowski 祖先近交系数（仅 calc）
+  --completeness           另外给出配对后代的谱系完整度（MacCluer 指数、等效完整世代数，仅 calc、plan）
+  --exact                  以二进有理数精确计算，结果另含分数形式的精确值（仅 calc、plan）
+  --value-format <格式>    近交系数的写法: raw、fraction、fixed:<位数>、percent:<位数>（默认 fixed:8）
+  --cache-file <文件>      磁盘缓存文件，跨运行复用已算出的近交系数（仅 calc、plan，不能与 --workers 同时使用）
+  --max-f <系数>            单个配对允许的最大近交系数，如 0.0625（仅 plan）
+  --bull-cap <头数>        每头公牛最多配几头母牛，默认不限（仅 plan）
+  --workers <线程数>       用多个工作线程并行计算（仅 calc），全部记录合并为一个谱系网络；0 表示在主线程内计算
+  --format <格式>          输出格式: ${OUTPUT_FORMATS.join(', ')}（默认按 --out 的扩展名，否则为 csv；validate 固定为 json）
+  --out <文件>             输出文件，省略时写到标准输出
+  -h, --help               显示本帮助
+
+退出码: ${EXIT_CODES.OK} 成功，${EXIT_CODES.VALIDATION_ERROR} 输入或谱系校验失败，${EXIT_CODES.USAGE_ERROR} 参数或文件错误，${EXIT_CODES.UNEXPECTED_ERROR} 意外错误。`;
+
+/**
+ * 参数或文件错误，对应退出码 USAGE_ERROR。
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * 宽表中的祖先列名，如 ffId、fmmId。
+ */
+const ANCESTOR_COLUMN_PATTERN = /^[fm]+Id$/;
+
+/**
+ * 读取谱系记录文件。JSON 文件应为记录数组或单条记录；表格文件首行为列名，
+ * 含 sId 列时按宽表（sId, fId, mId, ffId…）读取，否则按三列式 id/sire/dam 读取。
+ * @param {string} filePath - 文件路径。
+ * @returns {object[]} 谱系记录数组。
+ * @throws {UsageError} 文件无法读取或解析时抛出。
+ */
+function readRecords(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new UsageError(`无法读取文件 '${filePath}': ${error.message}`);
+    }
+
+    if (path.extname(filePath).toLowerCase() === '.json') {
+        let data;
+        try {
+            data = JSON.parse(text.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new UsageError(`无法解析 JSON 文件 '${filePath}': ${error.message}`);
+        }
+        return Array.isArray(data) ? data : [data];
+    }
+
+    try {
+        const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+        const isWide = /(^|[\s,])"?sid"?($|[\s,])/i.test(firstLine);
+        if (!isWide) return parsePedigreeTable(text);
+        // 宽表中 ffId、fmId 等祖先列被 parsePedigreeTable 归入 attributes，需要取回记录顶层，否则只会加载父母
+        return parsePedigreeTable(text, { columns: { id: 'sId', sire: 'fId', dam: 'mId' } }).map(({ attributes, ...record }) => {
+            const extra = {};
+            for (const [key, value] of Object.entries(attributes || {})) {
+                if (ANCESTOR_COLUMN_PATTERN.test(key)) record[key] = value;
+                else extra[key] = value;
+            }
+            if (Object.keys(extra).length > 0) record.attributes = extra;
+            return record;
+        });
+    } catch (error) {
+        throw new UsageError(`无法解析谱系文件 '${filePath}': ${error.message}`);
+    }
+}
+
+/**
+ * 解析命令行参数。
+ * @param {string[]} argv - 不含 node 与脚本路径的参数数组。
+ * @returns {{command: string|undefined, options: object}}
+ * @throws {UsageError} 参数无效时抛出。
+ */
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                cows: { type: 'string' },
+                bulls: { type: 'string' },
+                preset: { type: 'string' },
+                method: { type: 'string' },
+                scope: { type: 'string' },
+                'parent-policy': { type: 'string' },
+                'cycle-policy': { type: 'string' },
+                'normalize-ids': { type: 'boolean' },
+                explain: { type: 'boolean' },
+                ancestral: { type: 'boolean' },
+                completeness: { type: 'boolean' },
+                exact: { type: 'boolean' },
+                'value-format': { type: 'string' },
+                'cache-file': { type: 'string' },
+                'max-f': { type: 'string' },
+                'bull-cap': { type: 'string' },
+                workers: { type: 'string' },
+                format: { type: 'string' },
+                out: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values: options, positionals } = parsed;
+    const [command, ...extra] = positionals;
+    if (options.help) return { command: 'help', options };
+    if (!COMMANDS.includes(command)) {
+        throw new UsageError(command ? `未知命令: '${command}'。` : '缺少命令。');
+    }
+    if (extra.length > 0) throw new UsageError(`多余的参数: ${extra.join(' ')}`);
+
+    const choices = {
+        preset: Object.keys(PRESETS),
+        method: CALCULATION_METHODS,
+        scope: PEDIGREE_SCOPES,
+        'parent-policy': PARENT_POLICIES,
+        'cycle-policy': CYCLE_POLICIES,
+        format: OUTPUT_FORMATS
+    };
+    for (const [name, allowed] of Object.entries(choices)) {
+        if (options[name] !== undefined && !allowed.includes(options[name])) {
+            throw new UsageError(`--${name} 不支持 '${options[name]}'。可选值: ${allowed.join(', ')}。`);
+        }
+    }
+    if (command !== 'validate' && (!options.cows || !options.bulls)) {
+        throw new UsageError(`${command} 命令需要同时指定 --cows 与 --bulls。`);
+    }
+    if (command === 'validate' && !options.cows && !options.bulls) {
+        throw new UsageError('validate 命令至少需要 --cows 或 --bulls 之一。');
+    }
+    if (options['value-format'] !== undefined) {
+        try {
+            parseFormat(options['value-format']);
+        } catch (error) {
+            throw new UsageError(`--value-format: ${error.message}`);
+        }
+    }
+    if (options['max-f'] !== undefined && !/^\d+(\.\d+)?$/.test(options['max-f'])) {
+        throw new UsageError(`--max-f 必须是非负数，而不是 '${options['max-f']}'。`);
+    }
+    if (options['bull-cap'] !== undefined && !/^\d+$/.test(options['bull-cap'])) {
+        throw new UsageError(`--bull-cap 必须是非负整数，而不是 '${options['bull-cap']}'。`);
+    }
+    if (options.workers !== undefined && !/^\d+$/.test(options.workers)) {
+        throw new UsageError(`--workers 必须是非负整数，而不是 '${options.workers}'。`);
+    }
+    if (options.workers !== undefined && (options.explain || options.ancestral || options.exact || options['cache-file'])) {
+        throw new UsageError('--workers 不能与 --explain、--ancestral、--exact 或 --cache-file 同时使用。');
+    }
+    if (command === 'validate' && options.format === 'csv') {
+        throw new UsageError('validate 命令只支持 JSON 输出。');
+    }
+    return { command, options };
+}
+
+/**
+ * 执行命令行工具。
+ * @param {string[]} argv - 不含 node 与脚本路径的参数数组。
+ * @param {{stdout: {write: Function}, stderr: {write: Function}}} [io] - 输出流，默认为进程的标准输出与标准错误。
+ * @returns {Promise<number>} 退出码，见 EXIT_CODES。
+ */
+async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    const logger = {
+        debug() {},
+        warn: (message) => io.stderr.write(`警告: ${message}\n`),
+        error: (message) => io.stderr.write(`错误: ${message}\n`)
+    };
+
+    try {
+        const { command, options } = parseCommandLine(argv);
+        if (command === 'help') {
+            io.stdout.write(`${USAGE}\n`);
+            return EXIT_CODES.OK;
+        }
+
+        const cows = options.cows ? readRecords(options.cows) : [];
+        const bulls = options.bulls ? readRecords(options.bulls) : [];
+        const inputErrors = [
+            ...(options.cows ? findInvalidRecords(cows, '母牛文件') : []),
+            ...(options.bulls ? findInvalidRecords(bulls, '公牛文件') : [])
+        ];
+        if (inputErrors.length > 0) {
+            inputErrors.forEach(message => logger.error(message));
+            return EXIT_CODES.VALIDATION_ERROR;
+        }
+
+        const preset = PRESETS[options.preset || 'isolated'];
+        // 预设自带日志器（如 diagnostic）时保留其调试输出，与警告、错误一样写到标准错误，不混入标准输出中的结果
+        if (preset.logger) logger.debug = (message) => io.stderr.write(`${message}\n`);
+        const config = { ...preset, logger };
+        if (options.method) config.method = options.method;
+        if (options.scope) config.pedigreeScope = options.scope;
+        if (options['parent-policy']) config.parentPolicy = options['parent-policy'];
+        if (options['cycle-policy']) config.cyclePolicy = options['cycle-policy'];
+        if (options['normalize-ids']) config.normalizeIds = true;
+        if (options.exact) config.exact = true;
+        if (options['value-format']) config.format = options['value-format'];
+        if (options['cache-file']) config.cacheFile = options['cache-file'];
+        const calculator = createCalculator(config);
+
+        const format = command === 'validate' ? 'json'
+            : options.format || (options.out && path.extname(options.out).toLowerCase() === '.json' ? 'json' : 'csv');
+        let output;
+        let exitCode = EXIT_CODES.OK;
+
+        if (command === 'calc') {
+            const results = options.workers !== undefined
+                ? await calculator.calculateForMultipleCowsParallel(cows, bulls, { workers: Number(options.workers), completeness: Boolean(options.completeness) })
+                : calculator.calculateForMultipleCows(cows, bulls, {
+                    explain: Boolean(options.explain),
+                    ancestral: Boolean(options.ancestral),
+                    completeness: Boolean(options.completeness)
+                });
+            output = format === 'json' ? JSON.stringify(results, null, 2) : resultsToCSV(results, { format: config.format });
+        } else if (command === 'plan') {
+            const plan = calculator.planMatings(cows, bulls, {
+                maxInbreeding: options['max-f'] !== undefined ? Number(options['max-f']) : undefined,
+                defaultBullCap: options['bull-cap'] !== undefined ? Number(options['bull-cap']) : undefined,
+                completeness: Boolean(options.completeness)
+            });
+            plan.unassignedCows.forEach(({ cowId, reason }) => logger.warn(`母牛 ${cowId} 未分配公牛（${reason}）。`));
+            output = format === 'json' ? JSON.stringify(plan, null, 2) : resultsToCSV(plan.matings, { format: config.format });
+        } else if (command === 'matrix') {
+            const matrix = calculator.calculateKinshipMatrix(cows, bulls);
+            output = format === 'json'
+                ? JSON.stringify({ cowIds: matrix.cowIds, bullIds: matrix.bullIds, values: matrix.values }, null, 2)
+                : matrix.toCSV();
+        } else {
+            const report = calculator.validatePedigree([...cows, ...bulls]);
+            output = JSON.stringify(report, null, 2);
+            const problemCount = report.cycles.length + report.parentConflicts.length + report.sexConflicts.length;
+            if (problemCount > 0) {
+                logger.error(`谱系检查发现 ${problemCount} 个问题。`);
+                exitCode = EXIT_CODES.VALIDATION_ERROR;
+            }
+        }
+
+        if (options.out) {
+            try {
+                fs.writeFileSync(options.out, output, 'utf8');
+            } catch (error) {
+                throw new UsageError(`无法写入文件 '${options.out}': ${error.message}`);
+            }
+        } else {
+            io.stdout.write(`${output}\n`);
+        }
+        return exitCode;
+    } catch (error) {
+        if (error instanceof InbreedingError) {
+            logger.error(error.message);
+            return EXIT_CODES.VALIDATION_ERROR;
+        }
+        if (error instanceof UsageError) {
+            logger.error(error.message);
+            io.stderr.write(`运行 'node cli.js --help' 查看用法。\n`);
+            return EXIT_CODES.USAGE_ERROR;
+        }
+        throw error;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then((exitCode) => { process.exitCode = exitCode; })
+        .catch((error) => {
+            // main 只处理已知的错误类型，其余错误在此输出并以非零退出码结束
+            process.stderr.write(`意外错误: ${error && error.message ? error.message : error}\n`);
+            process.exitCode = EXIT_CODES.UNEXPECTED_ERROR;
+        });
+}
+
+module.exports = { main, EXIT_CODES };
@@ -0,0 +1,129 @@
+/**
+ * @file 二进有理数 (dyadic rational)
+ * @description 近交系数的每一项都是 (1/2)^n 与 (1 + F) 的乘积之和，因此总能精确地写成 n / 2^k。
+ *              DyadicRational 以 BigInt 分子与 2 的幂次分母表示这类数，加法与乘以 1/2 都不会产生舍入误差。
+ */
+
+/**
+ * @class DyadicRational
+ * @description 值为 numerator / 2^exponent 的不可变有理数。构造后总是化为最简形式：分子为奇数，或值为 0 时幂次为 0。
+ */
+class DyadicRational {
+    /**
+     * @param {bigint} numerator - 分子。
+     * @param {number} [exponent=0] - 分母 2 的幂次，非负整数。
+     */
+    constructor(numerator, exponent = 0) {
+        let n = BigInt(numerator);
+        let e = exponent;
+        if (n === 0n) {
+            e = 0;
+        } else {
+            while (e > 0 && (n & 1n) === 0n) { n >>= 1n; e--; }
+        }
+        this.numerator = n;
+        this.exponent = e;
+        Object.freeze(this);
+    }
+
+    /**
+     * 将有限的浮点数精确转换为二进有理数（任何有限的 double 都是二进有理数）。
+     * @param {number} value - 有限浮点数。
+     * @returns {DyadicRational}
+     */
+    static fromNumber(value) {
+        if (!Number.isFinite(value)) throw new RangeError(`无法将 ${value} 转换为二进有理数。`);
+        let exponent = 0;
+        let scaled = value;
+        while (!Number.isInteger(scaled)) { scaled *= 2; exponent++; }
+        return new DyadicRational(BigInt(scaled), exponent);
+    }
+
+    /**
+     * 解析 toString 写出的分数字符串，如 '7/32'、'0'、'-3/4'。
+     * @param {string} text - 分数字符串，分母必须是 2 的幂。
+     * @returns {DyadicRational}
+     * @throws {RangeError} 格式无效或分母不是 2 的幂时抛出。
+     */
+    static parse(text) {
+        const match = /^(-?\d+)(?:\/(\d+))?$/.exec(String(text).trim());
+        const denominator = match && match[2] !== undefined ? BigInt(match[2]) : 1n;
+        if (!match || denominator === 0n || (denominator & (denominator - 1n)) !== 0n) {
+            throw new RangeError(`无法将 '${text}' 解析为二进有理数。`);
+        }
+        return new DyadicRational(BigInt(match[1]), denominator.toString(2).length - 1);
+    }
+
+    /**
+     * @param {DyadicRational} other
+     * @returns {DyadicRational} this + other。
+     */
+    add(other) {
+        const exponent = Math.max(this.exponent, other.exponent);
+        const numerator = (this.numerator << BigInt(exponent - this.exponent)) + (other.numerator << BigInt(exponent - other.exponent));
+        return new DyadicRational(numerator, exponent);
+    }
+
+    /**
+     * @param {DyadicRational} other
+     * @returns {DyadicRational} this - other。
+     */
+    subtract(other) {
+        return this.add(new DyadicRational(-other.numerator, other.exponent));
+    }
+
+    /**
+     * @param {DyadicRational} other
+     * @returns {DyadicRational} this × other。
+     */
+    multiply(other) {
+        return new DyadicRational(this.numerator * other.numerator, this.exponent + other.exponent);
+    }
+
+    /**
+     * @param {number} [times=1] - 连续减半的次数。
+     * @returns {DyadicRational} this × (1/2)^times。
+     */
+    half(times = 1) {
+        return new DyadicRational(this.numerator, this.exponent + times);
+    }
+
+    /**
+     * @param {DyadicRational} other
+     * @returns {boolean} 两数是否相等。
+     */
+    equals(other) {
+        return other instanceof DyadicRational && this.numerator === other.numerator && this.exponent === other.exponent;
+    }
+
+    /**
+     * 转换为最接近的浮点数。
+     * @returns {number}
+     */
+    toNumber() {
+        // 先把分子截到 64 位以内，再由 Number() 舍入到 53 位有效数字
+        const bitLength = this.numerator === 0n ? 0 : (this.numerator < 0n ? -this.numerator : this.numerator).toString(2).length;
+        const shift = Math.max(0, bitLength - 64);
+        let value = Number(this.numerator >> BigInt(shift));
+        let exponent = this.exponent - shift;
+        while (exponent > 1000) { value /= 2 ** 1000; exponent -= 1000; }
+        while (exponent < -1000) { value *= 2 ** 1000; exponent += 1000; }
+        return exponent >= 0 ? value / 2 ** exponent : value * 2 ** -exponent;
+    }
+
+    /**
+     * @returns {string} 分数形式，如 '7/32'；分母为 1 时只写分子，如 '0'、'1'。
+     */
+    toString() {
+        return this.exponent === 0 ? this.numerator.toString() : `${this.numerator}/${1n << BigInt(this.exponent)}`;
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+}
+
+DyadicRational.ZERO = new DyadicRational(0n);
+DyadicRational.ONE = new DyadicRational(1n);
+
+module.exports = { DyadicRational };
@@ -0,0 +1,65 @@
+/**
+ * @file 结果数值格式
+ * @description 统一控制返回结果与 CSV 中近交系数的写法：保留 N 位小数、完整的双精度浮点数、百分数或分数。
+ */
+
+const { DyadicRational } = require('./dyadic.js');
+
+/**
+ * 支持的数值格式。
+ * - 'fixed': 保留 digits 位小数的数值（默认 8 位，即各版本原有的 parseFloat(F.toFixed(8))）。
+ * - 'raw': 不做舍入的双精度浮点数。
+ * - 'percent': 以百分数表示、保留 digits 位小数的数值（默认 2 位），如 0.0078125 -> 0.78。
+ * - 'fraction': 分数字符串，如 '1/128'。浮点结果按其二进制值精确展开，精确模式下即为精确值。
+ */
+const FORMAT_STYLES = ['fixed', 'raw', 'percent', 'fraction'];
+
+const DEFAULT_DIGITS = { fixed: 8, percent: 2 };
+
+/**
+ * 解析数值格式。
+ * @param {string|{style: string, digits?: number}} format - 格式对象，或 'raw'、'fraction'、'fixed:4'、'percent:2' 形式的简写。
+ * @returns {{style: string, digits: number|null}} 规范化后的格式；raw 与 fraction 的 digits 为 null。
+ * @throws {Error} 格式或小数位数无效时抛出。
+ */
+function parseFormat(format) {
+    const [style, digitsText] = typeof format === 'string' ? format.split(':') : [format && format.style, format && format.digits];
+    if (!FORMAT_STYLES.includes(style)) {
+        throw new Error(`不支持的数值格式: '${typeof format === 'string' ? format : style}'。可选值: ${FORMAT_STYLES.join(', ')}。`);
+    }
+    if (!(style in DEFAULT_DIGITS)) {
+        if (digitsText !== undefined && digitsText !== null) throw new Error(`数值格式 '${style}' 不接受小数位数。`);
+        return { style, digits: null };
+    }
+    const digits = digitsText === undefined || digitsText === null ? DEFAULT_DIGITS[style] : Number(digitsText);
+    if (!Number.isInteger(digits) || digits < 0 || digits > 100) {
+        throw new Error(`小数位数必须是 0 到 100 之间的整数，而不是 '${digitsText}'。`);
+    }
+    return { style, digits };
+}
+
+/**
+ * 创建按指定格式输出近交系数的函数。
+ * @param {string|{style: string, digits?: number}} format - 见 parseFormat。
+ * @returns {function(number|DyadicRational): (number|string)} 输入浮点数或 DyadicRational，返回格式化后的值。
+ */
+function createValueFormatter(format) {
+    const { style, digits } = parseFormat(format);
+    const toNumber = (value) => value instanceof DyadicRational ? value.toNumber() : value;
+    switch (style) {
+        case 'raw':
+            return toNumber;
+        case 'percent':
+            return (value) => parseFloat((toNumber(value) * 100).toFixed(digits));
+        case 'fraction':
+            return (value) => (value instanceof DyadicRational ? value : DyadicRational.fromNumber(value)).toString();
+        default:
+            return (value) => parseFloat(toNumber(value).toFixed(digits));
+    }
+}
+
+module.exports = {
+    FORMAT_STYLES,
+    parseFormat,
+    createValueFormatter
+};
@@ -0,0 +1,1068 @@
+/**
+ * @file 动物育种近交系数计算模块 (统一入口)
+ * @description 该模块根据扁平化的动物谱系数据，计算指定个体之间配对后，其假想后代的近交系数。
+ *              README 中的各个“版本”均可通过 createCalculator 的配置重现，见 PRESETS。
+ * @version 4.0.0
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const {
+    BreedingPlanner,
+    InbreedingError,
+    InvalidAnimalIdError,
+    PedigreeCycleError,
+    PedigreeConflictError,
+    parsePedigreeTable,
+    PARENT_POLICIES
+} = require('./pedigree.js');
+const { RelatednessCalculator, CALCULATION_METHODS, RELATIONSHIP_CODES, defaultLogger } = require('./relatednessCalculator.js');
+const { parseAnimalId, normalizeAnimalId } = require('./animalId.js');
+const { compileGraph, createTaskEvaluator } = require('./parallelWorker.js');
+const { DyadicRational } = require('./dyadic.js');
+const { FORMAT_STYLES, parseFormat, createValueFormatter } = require('./formatting.js');
+const { PersistentCache } = require('./persistentCache.js');
+const { allocateMates, UNASSIGNED_REASONS } = require('./mateAllocation.js');
+const { PedigreeCompleteness, DEFAULT_COMPLETENESS_GENERATIONS } = require('./pedigreeCompleteness.js');
+
+/**
+ * 谱系范围。
+ * - 'merged': 将母牛与全部公牛记录合并为一个谱系网络，所有配对共享同一个计算器实例（及其缓存）。
+ * - 'pair': 为每一对母牛与公牛创建全新的、隔离的谱系网络与计算器，仅使用配对双方自身的谱系记录。
+ */
+const PEDIGREE_SCOPES = ['merged', 'pair'];
+
+/**
+ * 谱系中存在环路（个体是其自身的祖先）时的处理策略。
+ * - 'reject': 抛出 PedigreeCycleError，拒绝计算。
+ * - 'degraded': 输出警告后继续计算（环路处按未知亲本处理，结果偏低），并在受影响的配对结果上标记 degraded。
+ */
+const CYCLE_POLICIES = ['reject', 'degraded'];
+
+/**
+ * 将诊断信息、警告与错误的文本全部输出到控制台的日志器（不输出附带的结构化详情）。
+ */
+const consoleLogger = {
+    debug(message) { console.debug(message); },
+    warn(message) { console.warn(message); },
+    error(message) { console.error(message); }
+};
+
+/**
+ * 与 README 中各版本对应的预设配置。
+ */
+const PRESETS = {
+    classic: { method: 'classic', caching: true, pedigreeScope: 'merged' },                      // 版本一 breedingCalculator.js
+    cached: { method: 'path', caching: true, pedigreeScope: 'merged' },                          // 版本二 breedingCalculator2.js
+    isolated: { method: 'path', caching: false, pedigreeScope: 'pair' },                         // 版本三 breedingCalculator3.js / breedingCalculator6.js
+    diagnostic: { method: 'path', caching: true, pedigreeScope: 'merged', logger: consoleLogger } // breedingCalculator4.js
+};
+
+/**
+ * 计算过程中产生的警告代码。警告以 { code, message, ...详情 } 对象的形式写入 report 模式的 warnings，
+ * 并作为第二个参数传给 logger.warn。
+ * - SKIPPED_PAIR: 配对被跳过，reason 为 'MISSING_BULL_ID'、'MISSING_ANIMAL' 或 'SEX_CONFLICT'。
+ * - PEDIGREE_CYCLE_DEGRADED: 'degraded' 环路策略下谱系存在环路，附 cycles。
+ * - CACHE_FILE_UNREADABLE / CACHE_FILE_UNWRITABLE: config.cacheFile 无法读取或写入，附 filePath。
+ *   这两种警告只交给 logger.warn，不写入 report 的 warnings。
+ */
+const WARNING_CODES = ['SKIPPED_PAIR', 'PEDIGREE_CYCLE_DEGRADED', 'CACHE_FILE_UNREADABLE', 'CACHE_FILE_UNWRITABLE'];
+
+/**
+ * @class InvalidInputError
+ * @description 传给计算函数的参数无效（如母牛、公牛记录缺失或格式错误）时的错误。
+ */
+class InvalidInputError extends InbreedingError {
+    /**
+     * @param {string} message - 错误说明。
+     * @param {string} [code='INVALID_INPUT'] - 错误代码。
+     */
+    constructor(message, code = 'INVALID_INPUT') {
+        super(message, code);
+        this.name = 'InvalidInputError';
+    }
+}
+
+/**
+ * @class InvalidCowRecordError
+ * @description 母牛记录不是对象或缺少 'sId'/'sid' 字段。
+ */
+class InvalidCowRecordError extends InvalidInputError {
+    constructor() {
+        super("输入数据无效。母牛记录必须是包含 'sId' 或 'sid' 字段的对象。", 'INVALID_COW_RECORD');
+        this.name = 'InvalidCowRecordError';
+    }
+}
+
+/**
+ * @class EmptyBullListError
+ * @description 公牛记录不是数组或为空数组。
+ */
+class EmptyBullListError extends InvalidInputError {
+    constructor() {
+        super("输入数据无效。请提供非空的公牛记录数组。", 'EMPTY_BULL_LIST');
+        this.name = 'EmptyBullListError';
+    }
+}
+
+/**
+ * @class KinshipMatrix
+ * @description 母牛 × 公牛的共祖系数矩阵，每个元素即对应配对后代的近交系数。
+ */
+class KinshipMatrix {
+    /**
+     * @param {string[]} cowIds - 行标题（母牛 ID）。
+     * @param {string[]} bullIds - 列标题（公牛 ID）。
+     * @param {Array<Array<number|string>>} values - cowIds.length 行、bullIds.length 列的共祖系数，已按数值格式输出。
+     */
+    constructor(cowIds, bullIds, values) {
+        this.cowIds = cowIds;
+        this.bullIds = bullIds;
+        this.values = values;
+    }
+
+    /**
+     * 获取指定母牛与公牛之间的共祖系数。
+     * @param {string|number} cowId - 母牛 ID。
+     * @param {string|number} bullId - 公牛 ID。
+     * @returns {number|string|undefined} 共祖系数；任一 ID 不在矩阵中时返回 undefined。
+     */
+    get(cowId, bullId) {
+        // 矩阵可能以规范化ID构建，原始写法找不到时再按规范化写法查找
+        const indexOf = (ids, id) => {
+            const index = ids.indexOf(String(id).trim());
+            return index >= 0 ? index : ids.indexOf(normalizeAnimalId(id));
+        };
+        const rowIndex = indexOf(this.cowIds, cowId);
+        const columnIndex = indexOf(this.bullIds, bullId);
+        if (rowIndex < 0 || columnIndex < 0) return undefined;
+        return this.values[rowIndex][columnIndex];
+    }
+
+    /**
+     * 将矩阵序列化为 CSV：首行为公牛 ID，首列为母牛 ID。
+     * @returns {string} CSV 文本。
+     */
+    toCSV() {
+        const escape = (value) => /[",\r\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+        const header = ['母牛ID\\公牛ID (Cow_ID\\Bull_ID)', ...this.bullIds].map(escape).join(',');
+        const rows = this.cowIds.map((cowId, rowIndex) => [cowId, ...this.values[rowIndex]].map(escape).join(','));
+        return [header, ...rows].join('\n');
+    }
+}
+
+/**
+ * 检查每条记录是否为带有 sId/sid 字段的对象，供命令行工具与 HTTP 服务在计算前校验输入。
+ * @param {object[]} records - 谱系记录数组。
+ * @param {string} label - 用于错误信息的记录来源说明，如 '母牛文件'。
+ * @returns {string[]} 错误信息，记录均有效时为空数组。
+ */
+function findInvalidRecords(records, label) {
+    if (!Array.isArray(records)) return [`${label}必须是记录数组。`];
+    const errors = [];
+    if (records.length === 0) errors.push(`${label}中没有任何记录。`);
+    records.forEach((record, index) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            errors.push(`${label}第 ${index + 1} 条记录不是对象。`);
+        } else if (!(record.sId || record.sid)) {
+            errors.push(`${label}第 ${index + 1} 条记录缺少 sId/sid 字段。`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * 将配对结果序列化为 CSV，列顺序与示例脚本输出的 breeding_results*.csv 相同。
+ * 结果含 inbreedingCoefficientExact（精确模式）时追加一列分数形式的精确值；
+ * 含祖先近交系数（ancestral 模式）时追加 Ballou、Kalinowski F_new 与 F_anc 三列；
+ * 含 pedigreeCompleteness 时再追加假想后代的 MacCluer 谱系完整度与等效完整世代数两列，用于区分“无亲缘关系”与“祖先不详”。
+ * 数值按结果中已有的格式原样写出，CSV 与返回对象保持一致。
+ * @param {object[]} results - calculateBreedingInbreeding 或 calculateForMultipleCows 返回的结果数组。
+ * @param {object} [options]
+ * @param {string|object} [options.format] - 计算结果时使用的数值格式，仅用于在表头注明单位（百分数时为 '%'）。
+ * @returns {string} CSV 文本（含表头）。
+ */
+function resultsToCSV(results, options = {}) {
+    const escape = (value) => /[",\r\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    const hasExact = results.some(result => result.inbreedingCoefficientExact !== undefined);
+    const isPercent = options.format !== undefined && parseFormat(options.format).style === 'percent';
+    const columns = ['公牛ID (Bull_ID)', '母牛ID (Cow_ID)', `后代近交系数 (Inbreeding_Coefficient${isPercent ? ', %' : ''})`];
+    const hasCompleteness = results.some(result => result.pedigreeCompleteness !== undefined);
+    const hasAncestral = results.some(result => result.ballouInbreeding !== undefined);
+    if (hasExact) columns.push('精确值 (Exact)');
+    if (hasAncestral) columns.push('Ballou 祖先近交系数 (Ballou_Fa)', 'Kalinowski 新近交 (Kalinowski_Fnew)', 'Kalinowski 祖先近交 (Kalinowski_Fanc)');
+    if (hasCompleteness) columns.push(`谱系完整度 (MacCluer_Index${isPercent ? ', %' : ''})`, '等效完整世代 (Equivalent_Generations)');
+    const rows = results.map(result => {
+        const values = [result.bullId, result.cowId, result.inbreedingCoefficient];
+        if (hasExact) values.push(result.inbreedingCoefficientExact);
+        if (hasAncestral) values.push(result.ballouInbreeding, result.kalinowskiNewInbreeding, result.kalinowskiAncestralInbreeding);
+        if (hasCompleteness) {
+            const completeness = result.pedigreeCompleteness || {};
+            values.push(completeness.maccluerIndex === undefined ? '' : completeness.maccluerIndex,
+                completeness.equivalentGenerations === undefined ? '' : completeness.equivalentGenerations);
+        }
+        return values.map(escape).join(',');
+    });
+    return [columns.join(','), ...rows].join('\n');
+}
+
+/**
+ * 在工作线程池中执行批量计算任务，每个线程完成一个任务后领取下一个。
+ * 任务在派发时才按编号依次生成，避免同时持有全部任务的谱系网络。
+ * @param {object} workerData - 传给 parallelWorker.js 的数据：{ method, caching }。
+ * @param {number} taskCount - 任务数。
+ * @param {function(number): object[]} createTask - 按任务编号生成该任务的计算单元数组，见 createTaskEvaluator。
+ * @param {number} workerCount - 线程数。
+ * @returns {Promise<Float64Array[]>} 与任务编号一一对应的计算结果。任一线程或 createTask 出错时拒绝，并终止全部线程。
+ */
+function runWorkerPool(workerData, taskCount, createTask, workerCount) {
+    return new Promise((resolve, reject) => {
+        const outputs = new Array(taskCount);
+        const workers = [];
+        let nextTaskId = 0;
+        let completed = 0;
+        let settled = false;
+        const settle = (error) => {
+            if (settled) return;
+            settled = true;
+            workers.forEach(worker => worker.terminate());
+            if (error) reject(error); else resolve(outputs);
+        };
+        const dispatch = (worker) => {
+            if (settled || nextTaskId >= taskCount) return;
+            const taskId = nextTaskId++;
+            let units;
+            try {
+                units = createTask(taskId);
+            } catch (error) {
+                settle(error);
+                return;
+            }
+            worker.postMessage({ taskId, units });
+        };
+
+        for (let i = 0; i < workerCount && !settled; i++) {
+            const worker = new Worker(path.join(__dirname, 'parallelWorker.js'), { workerData });
+            worker.on('message', ({ taskId, values }) => {
+                outputs[taskId] = values;
+                completed++;
+                if (completed === taskCount) settle(null);
+                else dispatch(worker);
+            });
+            worker.on('error', error => settle(error));
+            worker.on('exit', code => {
+                if (code !== 0) settle(new Error(`计算线程异常退出，退出码 ${code}。`));
+            });
+            workers.push(worker);
+            dispatch(worker);
+        }
+    });
+}
+
+/**
+ * 将 recommendBulls 的 merit 选项转换为按公牛ID查询育种值的函数。
+ * @param {object|Map<string, number>|Function|undefined} merit
+ * @param {function(string): string} normalizeKey - 对象或 Map 中公牛ID的转换函数，启用 normalizeIds 时为 normalizeAnimalId。
+ * @returns {function(string, object): (number|undefined)|null} 未提供 merit 时返回 null。
+ */
+function createMeritLookup(merit, normalizeKey) {
+    if (merit === undefined || merit === null) return null;
+    if (typeof merit === 'function') return merit;
+    if (typeof merit !== 'object') throw new Error('merit 必须是 公牛ID -> 分数 的对象、Map 或函数。');
+    const entries = merit instanceof Map ? Array.from(merit) : Object.entries(merit);
+    const scores = new Map(entries.map(([bullId, score]) => [normalizeKey(String(bullId).trim()), score]));
+    return (bullId) => scores.get(bullId);
+}
+
+/**
+ * 创建一个按指定配置工作的近交系数计算器。
+ * @param {object} [config]
+ * @param {'path'|'classic'|'tabular'} [config.method='path'] - 默认的计算方法，可在每次调用时通过 options.method 覆盖。
+ * @param {boolean} [config.caching=false] - 是否在同一次调用内缓存个体近交系数、配对结果与寻路路径。
+ * @param {boolean} [config.exact=false] - 是否以二进有理数精确计算配对结果，可在每次调用时通过 options.exact 覆盖。
+ *        整群近交系数、共祖系数矩阵与并行批量计算始终使用浮点数。
+ * @param {string|object} [config.format] - 结果中近交系数的数值格式，见 formatting.js 的 FORMAT_STYLES，
+ *        如 'raw'、'fraction'、'fixed:4'、'percent:2' 或 { style: 'percent', digits: 2 }。
+ *        默认为 'fixed:8'（精确模式下为 'raw'），可在每次调用时通过 options.format 覆盖。
+ * @param {'merged'|'pair'} [config.pedigreeScope='pair'] - calculateBreedingInbreeding 使用的谱系范围。
+ * @param {'first-wins'|'last-wins'|'majority'|'reject'} [config.parentPolicy] - 多条记录给出不同父母时的处理策略，
+ *        默认 'merged' 范围为 'first-wins'，'pair' 范围为 'last-wins'。为 'reject' 时存在冲突即抛出 PedigreeConflictError。
+ * @param {boolean} [config.normalizeIds=false] - 是否规范化 Interbull ID，使 'HOUSA…' 与 'HO840…' 等别名合并为同一个体。
+ *        启用后结果中的ID均为规范化写法。
+ * @param {'reject'|'degraded'} [config.cyclePolicy='reject'] - 谱系中存在环路时拒绝计算，或以降级模式继续。
+ * @param {number} [config.completenessGenerations=5] - completeness 选项下配对结果中谱系完整度（各世代完整度与 MacCluer 指数）追溯的世代数，
+ *        见 pedigreeCompleteness.js。
+ * @param {string} [config.cacheFile] - 磁盘缓存文件路径。设置后 calculateBreedingInbreeding 与 calculateForMultipleCows
+ *        （以及基于它们的 recommendBulls、planMatings）计算的个体近交系数与配对结果按祖先子图的内容哈希写入该文件，在之后的运行中复用（见 persistentCache.js）。
+ *        每次调用结束时保存；并行批量计算、整群计算与共祖系数矩阵不使用此缓存。
+ * @param {object} [config.logger] - 日志器，需提供 debug/warn/error 方法。默认不输出诊断信息，警告与错误输出到控制台。
+ *        warn/error 的第一个参数为文本信息，第二个参数为结构化详情：警告对象 { code, message, ... }（见 WARNING_CODES）
+ *        或 InbreedingError 实例。
+ * @returns {{calculateBreedingInbreeding: Function, calculateForMultipleCows: Function, calculateForMultipleCowsParallel: Function,
+ *            calculateHerdInbreeding: Function, calculateKinshipMatrix: Function, calculateRelationship: Function,
+ *            calculatePedigreeCompleteness: Function, recommendBulls: Function, planMatings: Function, validatePedigree: Function}}
+ * @example
+ * const { createCalculator, PRESETS } = require('./index.js');
+ * const calculator = createCalculator({ method: 'tabular', pedigreeScope: 'merged' });
+ * const results = calculator.calculateBreedingInbreeding(cowData, bullDataArray);
+ */
+function createCalculator(config = {}) {
+    const method = config.method || 'path';
+    const caching = Boolean(config.caching);
+    const exact = Boolean(config.exact);
+    if (config.format !== undefined) parseFormat(config.format);
+    // 本次调用使用的数值格式：options.format 优先，其次 config.format
+    const formatOf = (options, useExact) =>
+        options.format !== undefined ? options.format : config.format !== undefined ? config.format : useExact ? 'raw' : 'fixed:8';
+    const formatterFor = (options, useExact) => createValueFormatter(formatOf(options, useExact));
+    // 谱系完整度中的比例按近交系数的数值格式输出；等效完整世代数不是比例，百分数格式下改为保留相同位数的小数
+    const formatCompleteness = (stats, options, useExact) => {
+        const format = formatOf(options, useExact);
+        const formatValue = createValueFormatter(format);
+        const { style, digits } = parseFormat(format);
+        const formatGenerations = style === 'percent' ? createValueFormatter({ style: 'fixed', digits }) : formatValue;
+        return {
+            generationCompleteness: stats.generationCompleteness.map(value => formatValue(value)),
+            maccluerIndex: formatValue(stats.maccluerIndex),
+            completeGenerations: stats.completeGenerations,
+            maximumGenerations: stats.maximumGenerations,
+            equivalentGenerations: formatGenerations(stats.equivalentGenerations)
+        };
+    };
+    const pedigreeScope = config.pedigreeScope || 'pair';
+    const cyclePolicy = config.cyclePolicy || 'reject';
+    const logger = config.logger || defaultLogger;
+    if (!CALCULATION_METHODS.includes(method)) {
+        throw new Error(`不支持的计算方法: '${method}'。可选值: ${CALCULATION_METHODS.join(', ')}。`);
+    }
+    if (!PEDIGREE_SCOPES.includes(pedigreeScope)) {
+        throw new Error(`不支持的谱系范围: '${pedigreeScope}'。可选值: ${PEDIGREE_SCOPES.join(', ')}。`);
+    }
+    if (!CYCLE_POLICIES.includes(cyclePolicy)) {
+        throw new Error(`不支持的环路处理策略: '${cyclePolicy}'。可选值: ${CYCLE_POLICIES.join(', ')}。`);
+    }
+    const parentPolicy = config.parentPolicy || (pedigreeScope === 'pair' ? 'last-wins' : 'first-wins');
+    const normalizeIds = Boolean(config.normalizeIds);
+    const store = config.cacheFile ? new PersistentCache(config.cacheFile, { logger }) : null;
+    const completenessGenerations = config.completenessGenerations === undefined ? DEFAULT_COMPLETENESS_GENERATIONS : config.completenessGenerations;
+    const createCompleteness = () => new PedigreeCompleteness({ generations: completenessGenerations });
+    createCompleteness(); // 提前校验世代数
+
+    const createPlanner = (records) => {
+        const planner = new BreedingPlanner({ parentPolicy, normalizeIds });
+        planner.loadPedigreeFromJson(records);
+        return planner;
+    };
+
+    // 记录一条警告：写入 warnings（若提供）并交给日志器
+    const warn = (warnings, warning) => {
+        if (warnings) warnings.push(warning);
+        logger.warn(warning.message, warning);
+    };
+
+    // 按 cyclePolicy 检查谱系环路：'reject' 时抛出错误，'degraded' 时输出警告并返回找到的环路
+    const checkCycles = (planner, warnings) => {
+        const cycles = planner.findCycles();
+        if (cycles.length === 0) return cycles;
+        const error = new PedigreeCycleError(cycles);
+        if (cyclePolicy === 'reject') throw error;
+        warn(warnings, {
+            code: 'PEDIGREE_CYCLE_DEGRADED',
+            message: `${error.message} 将以降级模式继续计算，环路处按未知亲本处理，结果可能偏低。`,
+            cycles
+        });
+        return cycles;
+    };
+
+    // 返回与给定个体（含其全部祖先）有关的环路
+    const cyclesAffecting = (cycles, animals) => {
+        if (cycles.length === 0) return [];
+        const lineage = new Set();
+        for (const animal of animals) {
+            lineage.add(animal.getId());
+            for (const ancestor of animal.getAncestors()) lineage.add(ancestor.getId());
+        }
+        return cycles.filter(cycle => cycle.some(id => lineage.has(id)));
+    };
+
+    /**
+     * 计算单个母牛与一个或多个公牛配对后，所有假想后代的近交系数。
+     * @param {object} cowRecord - 目标母牛的谱系记录对象。必须包含 'sId' 或 'sid' 字段。
+     * @param {object[]} bullRecordsArray - 包含一个或多个公牛的谱系记录的数组。每个对象都应包含 'sId' 或 'sid' 字段。
+     * @param {object} [options]
+     * @param {'path'|'classic'|'tabular'} [options.method] - 本次调用使用的计算方法，默认取 config.method。
+     * @param {boolean} [options.explain=false] - 为 true 时，每个结果额外包含 commonAncestors 字段，按共同祖先列出近交来源。
+     * @param {boolean} [options.ancestral=false] - 为 true 时，每个结果额外包含祖先近交系数（见 RelatednessCalculator#calculateAncestralInbreeding）：
+     *        Ballou 的 ballouInbreeding，以及 Kalinowski 的 kalinowskiNewInbreeding 与 kalinowskiAncestralInbreeding（基因下落模拟估计）。
+     * @param {number} [options.replicates=10000] - ancestral 模式下每个配对基因下落的重复次数。
+     * @param {boolean} [options.completeness=false] - 为 true 时，每个结果额外包含假想后代的谱系完整度 pedigreeCompleteness：
+     *        { generationCompleteness, maccluerIndex, completeGenerations, maximumGenerations, equivalentGenerations }
+     *        （见 PedigreeCompleteness#calculate），可据此识别祖先不详导致的偏低近交系数。比例与等效完整世代数按 format 输出。
+     * @param {boolean} [options.exact] - 本次调用是否精确计算，默认取 config.exact。
+     * @param {string|object} [options.format] - 本次调用的数值格式，默认取 config.format。
+     * @param {boolean} [options.report=false] - 为 true 时返回 { results, warnings, errors }，而不是结果数组。
+     * @returns {object[]|{results: object[], warnings: object[], errors: InbreedingError[]}}
+     *          结果数组，格式为 { bullId: string, cowId: string, inbreedingCoefficient: number }。
+     *          explain 模式下每个结果还包含 commonAncestors: [{ ancestorId, fAncestor, contribution,
+     *          pathPairs: [{ bullPath: string[], cowPath: string[], contribution }] }]。
+     *          'degraded' 环路策略下，受环路影响的结果还包含 degraded: true 与 cycles: string[][]。
+     *          数值按 format 输出（默认保留 8 位小数）；exact 模式下 ballouInbreeding 另含 ballouInbreedingExact。
+     *          exact 模式下 inbreedingCoefficient 默认为精确值对应的浮点数（不再保留 8 位小数），并另含分数字符串
+     *          inbreedingCoefficientExact（如 '7/32'）；explain 中的 fAncestor、contribution 同样另含 fAncestorExact、contributionExact。
+     *          谱系中被登记为母亲的公牛、被登记为父亲的母牛所在的配对会被跳过，并产生 SKIPPED_PAIR 警告。
+     *          report 模式下，warnings 为 { code, message, ... } 对象（见 WARNING_CODES），errors 为导致计算中止的错误，
+     *          此时函数不再抛出 InbreedingError。
+     * @throws {PedigreeCycleError} 非 report 模式下，cyclePolicy 为 'reject' 且谱系中存在环路时抛出。
+     * @throws {PedigreeConflictError} 非 report 模式下，parentPolicy 为 'reject' 且存在父母冲突时抛出。
+     * @throws {InvalidAnimalIdError} 非 report 模式下，记录中出现 'undefined'、'null' 等无效 ID 时抛出。
+     *         输入记录本身无效（InvalidCowRecordError、EmptyBullListError）时不抛出，而是记录错误并返回空数组。
+     */
+    function calculateBreedingInbreeding(cowRecord, bullRecordsArray, options = {}) {
+        const report = { results: [], warnings: [], errors: [] };
+        collectPairs(report, options, () => calculatePairs(cowRecord, bullRecordsArray, options, report.warnings));
+        if (store) store.save();
+        return options.report ? report : report.results;
+    }
+
+    // 将一次计算的结果并入 report。非 report 模式保持原有行为：输入无效时只记录错误，其余错误照常抛出
+    function collectPairs(report, options, compute) {
+        try {
+            report.results.push(...compute());
+        } catch (error) {
+            if (!(error instanceof InbreedingError)) throw error;
+            if (!options.report && !(error instanceof InvalidInputError)) throw error;
+            logger.error(error.message, error);
+            report.errors.push(error);
+        }
+    }
+
+    // calculateBreedingInbreeding 的计算部分：输入无效时抛出 InvalidInputError，跳过的配对写入 warnings。
+    // 提供 pending 数组时不计算近交系数，而是把 { planner, bullAnimal, cowAnimal, result } 放入 pending，
+    // 由 calculateForMultipleCowsParallel 交给工作线程计算后填入 result（不支持 explain 与 ancestral）
+    function calculatePairs(cowRecord, bullRecordsArray, options, warnings, pending) {
+        if (!cowRecord || typeof cowRecord !== 'object' || !(cowRecord.sId || cowRecord.sid)) {
+            throw new InvalidCowRecordError();
+        }
+        if (!Array.isArray(bullRecordsArray) || bullRecordsArray.length === 0) {
+            throw new EmptyBullListError();
+        }
+
+        const primaryCowId = cowRecord.sId || cowRecord.sid;
+        const useExact = options.exact !== undefined ? Boolean(options.exact) : exact;
+        const createRelatednessCalculator = () => new RelatednessCalculator({ method: options.method || method, caching, logger, exact: useExact, store });
+        // 按数值格式写入结果；精确模式另在 <key>Exact 中给出分数字符串
+        const formatValue = formatterFor(options, useExact);
+        const withValue = (target, key, value) => {
+            target[key] = formatValue(value);
+            if (useExact) target[`${key}Exact`] = value.toString();
+            return target;
+        };
+        const results = [];
+
+        // 'merged' 范围下一次性构建完整的谱系网络，并在所有配对间共享计算器
+        let planner = pedigreeScope === 'merged' ? createPlanner([cowRecord, ...bullRecordsArray]) : null;
+        let calculator = pedigreeScope === 'merged' ? createRelatednessCalculator() : null;
+        let cycles = pedigreeScope === 'merged' ? checkCycles(planner, warnings) : [];
+        let completeness = pedigreeScope === 'merged' && options.completeness ? createCompleteness() : null;
+
+        for (const [bullIndex, primaryBullRecord] of bullRecordsArray.entries()) {
+            const primaryBullId = primaryBullRecord && (primaryBullRecord.sId || primaryBullRecord.sid);
+            if (!primaryBullId) {
+                // 跳过没有自身ID的公牛记录
+                warn(warnings, {
+                    code: 'SKIPPED_PAIR',
+                    reason: 'MISSING_BULL_ID',
+                    message: `第 ${bullIndex + 1} 条公牛记录缺少 'sId' 或 'sid' 字段，跳过此配对。`,
+                    bullId: null,
+                    cowId: String(primaryCowId),
+                    bullIndex
+                });
+                continue;
+            }
+
+            if (pedigreeScope === 'pair') {
+                // 为每一次配对都创建全新的实例，只加载母牛和当前这头公牛的记录
+                planner = createPlanner([cowRecord, primaryBullRecord]);
+                calculator = createRelatednessCalculator();
+                cycles = checkCycles(planner, warnings);
+                completeness = options.completeness ? createCompleteness() : null;
+            }
+
+            const cowAnimal = planner.getOrCreateAnimal(primaryCowId);
+            const bullAnimal = planner.getOrCreateAnimal(primaryBullId);
+
+            if (!cowAnimal || !bullAnimal) {
+                warn(warnings, {
+                    code: 'SKIPPED_PAIR',
+                    reason: 'MISSING_ANIMAL',
+                    message: `无法为配对 ${primaryBullId} 和 ${primaryCowId} 找到有效的动物对象，跳过此配对。`,
+                    bullId: String(primaryBullId),
+                    cowId: String(primaryCowId)
+                });
+                continue;
+            }
+            // 谱系中记录为母亲的“公牛”或记录为父亲的“母牛”说明数据有误，拒绝此配对
+            const bullAsDam = planner.getRecordedRoles(bullAnimal).dam;
+            const cowAsSire = planner.getRecordedRoles(cowAnimal).sire;
+            if (bullAsDam.length > 0 || cowAsSire.length > 0) {
+                const describe = (sources) => sources.map(source => source.sid).join(', ');
+                const reasons = [];
+                if (bullAsDam.length > 0) reasons.push(`公牛 ${primaryBullId} 在记录 ${describe(bullAsDam)} 中被登记为母亲`);
+                if (cowAsSire.length > 0) reasons.push(`母牛 ${primaryCowId} 在记录 ${describe(cowAsSire)} 中被登记为父亲`);
+                warn(warnings, {
+                    code: 'SKIPPED_PAIR',
+                    reason: 'SEX_CONFLICT',
+                    message: `${reasons.join('；')}，跳过此配对。`,
+                    bullId: String(bullAnimal.getId()),
+                    cowId: String(cowAnimal.getId()),
+                    bullAsDam,
+                    cowAsSire
+                });
+                continue;
+            }
+
+            const result = {
+                bullId: String(bullAnimal.getId()),
+                cowId: String(cowAnimal.getId())
+            };
+            if (pending) {
+                result.inbreedingCoefficient = null;
+                pending.push({ planner, bullAnimal, cowAnimal, result });
+            } else {
+                withValue(result, 'inbreedingCoefficient', calculator.calculateOffspringInbreeding(bullAnimal, cowAnimal));
+            }
+            if (options.ancestral) {
+                const ancestral = calculator.calculateOffspringAncestralInbreeding(bullAnimal, cowAnimal, { replicates: options.replicates });
+                withValue(result, 'ballouInbreeding', ancestral.ballou);
+                result.kalinowskiNewInbreeding = formatValue(ancestral.kalinowskiNew);
+                result.kalinowskiAncestralInbreeding = formatValue(ancestral.kalinowskiAncestral);
+            }
+            if (completeness) {
+                result.pedigreeCompleteness = formatCompleteness(completeness.calculateOffspring(bullAnimal, cowAnimal), options, useExact);
+            }
+            const affectingCycles = cyclesAffecting(cycles, [bullAnimal, cowAnimal]);
+            if (affectingCycles.length > 0) {
+                result.degraded = true;
+                result.cycles = affectingCycles;
+            }
+            if (options.explain) {
+                result.commonAncestors = calculator.explainOffspringInbreeding(bullAnimal, cowAnimal).map(entry => {
+                    const ancestor = { ancestorId: entry.ancestorId };
+                    withValue(ancestor, 'fAncestor', entry.fAncestor);
+                    withValue(ancestor, 'contribution', entry.contribution);
+                    ancestor.pathPairs = entry.pathPairs.map(pair =>
+                        withValue({ bullPath: pair.path1, cowPath: pair.path2 }, 'contribution', pair.contribution));
+                    return ancestor;
+                });
+            }
+            results.push(result);
+        }
+
+        return results;
+    }
+
+    /**
+     * 为母牛数组中的每一头牛计算与公牛列表的配对近交系数，结果按母牛顺序依次拼接。
+     * @param {object[]} cowRecordsArray - 母牛谱系记录数组。
+     * @param {object[]} bullRecordsArray - 公牛谱系记录数组。
+     * @param {object} [options] - 同 calculateBreedingInbreeding。
+     * @returns {object[]|{results: object[], warnings: object[], errors: InbreedingError[]}} 所有配对结果的集合，
+     *          格式同 calculateBreedingInbreeding。report 模式下某头母牛出错不影响其余母牛，错误汇总在 errors 中。
+     * @throws {PedigreeCycleError} cyclePolicy 为 'reject' 且合并全部母牛与公牛记录后的谱系中存在环路时抛出（report 模式下记入 errors 并返回空结果）。
+     */
+    function calculateForMultipleCows(cowRecordsArray, bullRecordsArray, options = {}) {
+        const report = { results: [], warnings: [], errors: [] };
+        if (!checkHerd(report, cowRecordsArray, bullRecordsArray, options)) return options.report ? report : report.results;
+
+        for (const cowRecord of cowRecordsArray) {
+            collectPairs(report, options, () => calculatePairs(cowRecord, bullRecordsArray, options, report.warnings));
+        }
+        if (store) store.save();
+        return options.report ? report : report.results;
+    }
+
+    // 批量计算前的检查：输入无效，或整群谱系中存在被拒绝的环路时把错误记入 report 并返回 false
+    function checkHerd(report, cowRecordsArray, bullRecordsArray, options) {
+        const inputError = findBatchInputError(cowRecordsArray, bullRecordsArray);
+        if (inputError) {
+            logger.error(inputError.message, inputError);
+            report.errors.push(inputError);
+            return false;
+        }
+
+        // 每头母牛的谱系网络只含该母牛与公牛的记录，跨越多头母牛记录的环路（如 A 的父亲是 B，B 的父亲又是 A）
+        // 只有合并全部记录后才能发现，因此先对整个牛群检查一次
+        const errorCount = report.errors.length;
+        collectPairs(report, options, () => {
+            const herdRecords = [...cowRecordsArray, ...bullRecordsArray].filter(record => record && typeof record === 'object' && (record.sId || record.sid));
+            checkCycles(createPlanner(herdRecords), report.warnings);
+            return [];
+        });
+        return report.errors.length === errorCount;
+    }
+
+    // 批量计算的输入检查：母牛与公牛记录都必须是非空数组
+    function findBatchInputError(cowRecordsArray, bullRecordsArray) {
+        if (!Array.isArray(cowRecordsArray) || cowRecordsArray.length === 0) {
+            return new InvalidInputError("输入数据无效。请提供非空的母牛记录数组。", 'EMPTY_COW_LIST');
+        }
+        if (!Array.isArray(bullRecordsArray) || bullRecordsArray.length === 0) return new EmptyBullListError();
+        return null;
+    }
+
+    /**
+     * calculateForMultipleCows 的并行版本，用于上万头母牛 × 数百头公牛的大批量计算。
+     * 谱系网络的构建与 calculateForMultipleCows 完全相同（遵循 pedigreeScope、parentPolicy 与 cyclePolicy），
+     * 环路、冲突与性别检查也在主线程完成；每头母牛（'pair' 范围下每一对配对）的谱系网络压缩为共享内存后交给工作线程，
+     * 按母牛分批计算近交系数，结果按输入顺序（母牛优先、公牛其次）合并，与 calculateForMultipleCows 一致。
+     * @param {object[]} cowRecordsArray - 母牛谱系记录数组。
+     * @param {object[]} bullRecordsArray - 公牛谱系记录数组。
+     * @param {object} [options]
+     * @param {'path'|'classic'|'tabular'} [options.method] - 本次调用使用的计算方法，默认取 config.method。
+     *        大批量计算建议使用 'tabular'，每头母牛只需沿谱系扫描一遍。
+     * @param {number} [options.workers] - 工作线程数，默认为可用 CPU 数；为 0 时在主线程内计算。
+     * @param {number} [options.chunkSize] - 每个任务包含的母牛头数，默认使每个线程约分得 8 个任务。
+     * @param {string|object} [options.format] - 本次调用的数值格式，默认取 config.format。
+     * @param {boolean} [options.completeness=false] - 为 true 时结果另含 pedigreeCompleteness，同 calculateBreedingInbreeding。
+     * @param {boolean} [options.report=false] - 为 true 时返回 { results, warnings, errors }，格式同 calculateForMultipleCows。
+     * @returns {Promise<object[]|{results: object[], warnings: object[], errors: InbreedingError[]}>}
+     *          结果格式同 calculateBreedingInbreeding（始终使用浮点数，不支持 explain 与 ancestral）。
+     * @throws {PedigreeCycleError} 同 calculateForMultipleCows。
+     */
+    async function calculateForMultipleCowsParallel(cowRecordsArray, bullRecordsArray, options = {}) {
+        const report = { results: [], warnings: [], errors: [] };
+        const finish = () => options.report ? report : report.results;
+        if (!checkHerd(report, cowRecordsArray, bullRecordsArray, options)) return finish();
+
+        const availableWorkers = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+        const requestedWorkers = options.workers !== undefined ? Math.max(0, Math.floor(options.workers)) : availableWorkers;
+        const chunkSize = options.chunkSize > 0
+            ? Math.floor(options.chunkSize)
+            : Math.max(1, Math.ceil(cowRecordsArray.length / (Math.max(1, requestedWorkers) * 8)));
+        const taskCount = Math.ceil(cowRecordsArray.length / chunkSize);
+        const pairOptions = { method: options.method, format: options.format, completeness: options.completeness, exact: false };
+
+        // 任务按编号依次生成：逐头母牛检查并建网（警告、错误与占位结果按输入顺序写入 report），
+        // 再把同一谱系网络中的配对合并为一个计算单元
+        const taskResults = new Array(taskCount);
+        const createTask = (taskId) => {
+            const pending = [];
+            for (const cowRecord of cowRecordsArray.slice(taskId * chunkSize, (taskId + 1) * chunkSize)) {
+                collectPairs(report, options, () => calculatePairs(cowRecord, bullRecordsArray, pairOptions, report.warnings, pending));
+            }
+            const units = [];
+            let planner = null;
+            let graph = null;
+            for (const entry of pending) {
+                if (entry.planner !== planner) {
+                    planner = entry.planner;
+                    graph = compileGraph(planner.animalMap.values());
+                    units.push({
+                        graph: { ids: graph.ids, sires: graph.sires, dams: graph.dams },
+                        cowIndex: graph.indexOf.get(entry.cowAnimal),
+                        bullIndexes: []
+                    });
+                }
+                units[units.length - 1].bullIndexes.push(graph.indexOf.get(entry.bullAnimal));
+            }
+            taskResults[taskId] = pending.map(entry => entry.result);
+            return units;
+        };
+
+        const workerData = { method: options.method || method, caching };
+        const workerCount = Math.min(requestedWorkers, taskCount);
+        let outputs;
+        if (workerCount === 0) {
+            const evaluate = createTaskEvaluator(workerData);
+            outputs = Array.from({ length: taskCount }, (unused, taskId) => evaluate(createTask(taskId)));
+        } else {
+            logger.debug(`使用 ${workerCount} 个线程计算 ${cowRecordsArray.length} 头母牛 × ${bullRecordsArray.length} 头公牛，共 ${taskCount} 个任务。`);
+            outputs = await runWorkerPool(workerData, taskCount, createTask, workerCount);
+        }
+
+        const formatValue = formatterFor(options, false);
+        taskResults.forEach((results, taskId) => {
+            results.forEach((result, index) => { result.inbreedingCoefficient = formatValue(outputs[taskId][index]); });
+        });
+        return finish();
+    }
+
+    /**
+     * 计算整群（整个登记库）中每个个体自身的近交系数。
+     * 所有记录被合并为一个谱系网络，再用 Meuwissen–Luo 算法按拓扑顺序一次性求解。
+     * @param {object[]} records - 谱系记录数组，记录格式与 calculateBreedingInbreeding 的输入相同。
+     * @param {object} [options]
+     * @param {string|object} [options.format] - 数值格式，默认取 config.format。
+     * @returns {Map<string, number|string>} 个体 ID 到其近交系数的映射，包含记录中出现过的所有祖先。
+     * @throws {PedigreeCycleError} cyclePolicy 为 'reject' 且谱系中存在环路时抛出。
+     */
+    function calculateHerdInbreeding(records, options = {}) {
+        if (!Array.isArray(records) || records.length === 0) {
+            const error = new InvalidInputError("输入数据无效。请提供非空的谱系记录数组。");
+            logger.error(error.message, error);
+            return new Map();
+        }
+
+        const planner = createPlanner(records);
+        const calculator = new RelatednessCalculator({ logger });
+        checkCycles(planner);
+
+        const formatValue = formatterFor(options, false);
+        const results = new Map();
+        const herdInbreeding = calculator.calculateHerdInbreeding(planner.animalMap.values());
+        for (const [id, inbreedingCoefficient] of herdInbreeding) {
+            results.set(id, formatValue(inbreedingCoefficient));
+        }
+        return results;
+    }
+
+    /**
+     * 计算整群中每个个体的谱系完整度：各世代完整度、MacCluer 指数、完整世代数、最大世代数与等效完整世代数。
+     * 所有记录被合并为一个谱系网络，见 BreedingPlanner#calculatePedigreeCompleteness。
+     * @param {object[]} records - 谱系记录数组，记录格式与 calculateBreedingInbreeding 的输入相同。
+     * @param {object} [options]
+     * @param {number} [options.generations] - 各世代完整度与 MacCluer 指数追溯的世代数，默认取 config.completenessGenerations。
+     * @returns {Map<string, object>} 个体 ID 到其谱系完整度的映射（格式见 PedigreeCompleteness#calculate），包含记录中出现过的所有祖先。
+     * @throws {PedigreeCycleError} cyclePolicy 为 'reject' 且谱系中存在环路时抛出。
+     */
+    function calculatePedigreeCompleteness(records, options = {}) {
+        if (!Array.isArray(records) || records.length === 0) {
+            const error = new InvalidInputError("输入数据无效。请提供非空的谱系记录数组。");
+            logger.error(error.message, error);
+            return new Map();
+        }
+
+        const planner = createPlanner(records);
+        checkCycles(planner);
+        return planner.calculatePedigreeCompleteness({ generations: options.generations === undefined ? completenessGenerations : options.generations });
+    }
+
+    /**
+     * 计算一组母牛与一组公牛两两配对的共祖系数矩阵（即每个配对后代的近交系数）。
+     * 无论 pedigreeScope 如何配置，此函数都将全部母牛与公牛记录合并为一个谱系网络，
+     * 共同祖先的计算结果在所有配对之间共享。'tabular' 方法按 Colleau 的方法逐列求解，
+     * 'path'、'classic' 方法逐对计算（共享同一个带缓存的计算器），结果与 calculateBreedingInbreeding 使用同一方法时一致。
+     * @param {object[]} cowRecordsArray - 母牛谱系记录数组。每个对象都应包含 'sId' 或 'sid' 字段。
+     * @param {object[]} bullRecordsArray - 公牛谱系记录数组。每个对象都应包含 'sId' 或 'sid' 字段。
+     * @param {object} [options]
+     * @param {'path'|'classic'|'tabular'} [options.method] - 本次调用使用的计算方法，默认取 config.method。
+     * @param {string|object} [options.format] - 数值格式，默认取 config.format。
+     * @returns {KinshipMatrix} 共祖系数矩阵，可通过 toCSV() 序列化。
+     * @throws {InvalidInputError} 母牛或公牛记录不是非空数组时抛出。
+     * @throws {PedigreeCycleError} cyclePolicy 为 'reject' 且谱系中存在环路时抛出。
+     */
+    function calculateKinshipMatrix(cowRecordsArray, bullRecordsArray, options = {}) {
+        if (!Array.isArray(cowRecordsArray) || cowRecordsArray.length === 0 || !Array.isArray(bullRecordsArray) || bullRecordsArray.length === 0) {
+            throw new InvalidInputError("输入数据无效。请提供非空的母牛记录数组和公牛记录数组。");
+        }
+
+        const matrixMethod = options.method || method;
+        const planner = createPlanner([...cowRecordsArray, ...bullRecordsArray]);
+        const calculator = new RelatednessCalculator({ method: matrixMethod, caching: true, logger });
+        checkCycles(planner);
+
+        const toAnimals = (records) => {
+            const animals = new Set();
+            for (const record of records) {
+                const animal = planner.getOrCreateAnimal(record.sId || record.sid);
+                if (animal) animals.add(animal);
+            }
+            return Array.from(animals);
+        };
+        const cowAnimals = toAnimals(cowRecordsArray);
+        const bullAnimals = toAnimals(bullRecordsArray);
+
+        const formatValue = formatterFor(options, false);
+        const coancestries = matrixMethod === 'tabular'
+            ? calculator.calculateCoancestryMatrix(cowAnimals, bullAnimals)
+            : cowAnimals.map(cowAnimal => bullAnimals.map(bullAnimal => calculator.calculateOffspringInbreeding(bullAnimal, cowAnimal)));
+        return new KinshipMatrix(
+            cowAnimals.map(animal => animal.getId()),
+            bullAnimals.map(animal => animal.getId()),
+            coancestries.map(row => Array.from(row, formatValue))
+        );
+    }
+
+    /**
+     * 计算谱系中任意两个个体之间的亲缘关系：共祖系数、加性亲缘关系与 Wright 亲缘系数 R，
+     * 可用于发现重复登记（R 接近 1）或全同胞胚胎（R 约为 0.5）。全部记录合并为一个谱系网络，不受 pedigreeScope 影响；
+     * 始终按 A 矩阵（表格法）计算，不受 method 影响，见 RelatednessCalculator#calculateRelationship。
+     * @param {object[]} records - 谱系记录数组，两个个体可以是记录自身，也可以是记录中出现的任意祖先。
+     * @param {string} animalId1 - 个体一的ID。
+     * @param {string} animalId2 - 个体二的ID。
+     * @param {object} [options]
+     * @param {boolean} [options.exact] - 本次调用是否精确计算，默认取 config.exact。
+     * @param {string|object} [options.format] - 数值格式，默认取 config.format。
+     * @returns {object|null} { animalId1, animalId2, coancestry, additiveRelationship, relationshipCoefficient, inbreeding1, inbreeding2, relationship }，
+     *          含义见 RelatednessCalculator#calculateRelationship，数值按 format 输出；exact 模式下除 relationshipCoefficient 外
+     *          另含对应的 <字段>Exact 分数字符串。relationship 为关系名称，如 { code: 'HALF_SIBS', label: '经父亲 ... 的半同胞', ... }，
+     *          见 RelatednessCalculator#classifyRelationship。'degraded' 环路策略下受环路影响时另含 degraded 与 cycles。
+     *          记录无效或个体不在谱系中时记录错误并返回 null。
+     * @throws {PedigreeCycleError} cyclePolicy 为 'reject' 且谱系中存在环路时抛出。
+     * @throws {PedigreeConflictError} parentPolicy 为 'reject' 且存在父母冲突时抛出。
+     */
+    function calculateRelationship(records, animalId1, animalId2, options = {}) {
+        if (!Array.isArray(records) || records.length === 0) {
+            const error = new InvalidInputError("输入数据无效。请提供非空的谱系记录数组。");
+            logger.error(error.message, error);
+            return null;
+        }
+        const planner = createPlanner(records);
+        const cycles = checkCycles(planner);
+        const animals = [animalId1, animalId2].map(id => planner.getAnimal(id));
+        const missingIndex = animals.indexOf(null);
+        if (missingIndex >= 0) {
+            const error = new InvalidInputError(`谱系记录中不存在个体: '${[animalId1, animalId2][missingIndex]}'。`, 'ANIMAL_NOT_FOUND');
+            logger.error(error.message, error);
+            return null;
+        }
+
+        const useExact = options.exact !== undefined ? Boolean(options.exact) : exact;
+        const calculator = new RelatednessCalculator({ logger, exact: useExact });
+        const relationship = calculator.calculateRelationship(animals[0], animals[1]);
+        const formatValue = formatterFor(options, useExact);
+        const result = { animalId1: animals[0].getId(), animalId2: animals[1].getId() };
+        for (const key of ['coancestry', 'additiveRelationship', 'relationshipCoefficient', 'inbreeding1', 'inbreeding2']) {
+            result[key] = formatValue(relationship[key]);
+            if (useExact && key !== 'relationshipCoefficient') result[`${key}Exact`] = relationship[key].toString();
+        }
+        result.relationship = calculator.classifyRelationship(animals[0], animals[1]);
+        const affectingCycles = cyclesAffecting(cycles, animals);
+        if (affectingCycles.length > 0) {
+            result.degraded = true;
+            result.cycles = affectingCycles;
+        }
+        return result;
+    }
+
+    /**
+     * 为一头母牛推荐公牛：计算与每头公牛配对后代的近交系数，排除超过上限的公牛，并按近交系数或育种值排序。
+     * @param {object} cowRecord - 母牛的谱系记录。
+     * @param {object[]} bullRecordsArray - 候选公牛的谱系记录数组。
+     * @param {object} [options]
+     * @param {'path'|'classic'|'tabular'} [options.method] - 本次调用使用的计算方法，默认取 config.method。
+     * @param {boolean} [options.exact] - 本次调用是否精确计算，默认取 config.exact。
+     * @param {string|object} [options.format] - 结果中近交系数的数值格式，默认取 config.format。
+     * @param {number} [options.maxInbreeding=Infinity] - 允许的最大后代近交系数（小数，如 6.25% 写作 0.0625）。
+     * @param {number} [options.limit] - 最多返回的候选公牛数，默认全部返回。
+     * @param {object|Map<string, number>|function(string, object): number} [options.merit] - 公牛的育种值（如 NM$），
+     *        可为 公牛ID -> 分数 的对象或 Map，或接收 (公牛ID, 公牛记录) 的函数。提供时按 merit - inbreedingPenalty × F 从高到低排序，
+     *        否则按近交系数从低到高排序。
+     * @param {number} [options.inbreedingPenalty=0] - 近交系数每增加 1（即 100%）所扣除的分数，如每 1% 扣 25 分则为 2500。
+     * @param {boolean} [options.completeness=false] - 为 true 时每个候选另含配对后代的 pedigreeCompleteness，同 calculateBreedingInbreeding。
+     * @returns {{cowId: string|null, candidates: object[], excluded: object[]}} 推荐结果：
+     *          - candidates: [{ rank, bullId, inbreedingCoefficient, pedigreeCompleteness?, merit?, score? }]，按排名排列，
+     *            exact 模式下另含 inbreedingCoefficientExact，受环路影响时另含 degraded 与 cycles；
+     *          - excluded: [{ bullId, reason, message, inbreedingCoefficient? }]，reason 为 'ABOVE_MAX_INBREEDING'、
+     *            'MISSING_MERIT'，或配对被跳过的原因（'MISSING_BULL_ID'、'MISSING_ANIMAL'、'SEX_CONFLICT'，见 WARNING_CODES）。
+     *          输入记录无效时记录错误并返回空的推荐结果。
+     * @throws {PedigreeCycleError} cyclePolicy 为 'reject' 且谱系中存在环路时抛出。
+     * @throws {PedigreeConflictError} parentPolicy 为 'reject' 且存在父母冲突时抛出。
+     * @example
+     * // 母牛 220057 近交系数不超过 6.25% 的前五头公牛
+     * calculator.recommendBulls(cowData, bullDataArray, { maxInbreeding: 0.0625, limit: 5 });
+     */
+    function recommendBulls(cowRecord, bullRecordsArray, options = {}) {
+        const maxInbreeding = options.maxInbreeding === undefined ? Infinity : options.maxInbreeding;
+        const inbreedingPenalty = options.inbreedingPenalty === undefined ? 0 : options.inbreedingPenalty;
+        if (typeof maxInbreeding !== 'number' || Number.isNaN(maxInbreeding)) {
+            throw new Error(`近交系数上限必须是数值，而不是 '${options.maxInbreeding}'。`);
+        }
+        if (typeof inbreedingPenalty !== 'number' || !Number.isFinite(inbreedingPenalty)) {
+            throw new Error(`近交惩罚系数必须是有限的数值，而不是 '${options.inbreedingPenalty}'。`);
+        }
+        if (options.limit !== undefined && !(Number.isInteger(options.limit) && options.limit >= 0)) {
+            throw new Error(`推荐数量必须是非负整数，而不是 '${options.limit}'。`);
+        }
+        const normalizeKey = normalizeIds ? normalizeAnimalId : (id) => id;
+        const meritOf = createMeritLookup(options.merit, normalizeKey);
+
+        const useExact = options.exact !== undefined ? Boolean(options.exact) : exact;
+        const formatValue = formatterFor(options, useExact);
+        const report = { results: [], warnings: [], errors: [] };
+        collectPairs(report, {}, () => calculatePairs(cowRecord, bullRecordsArray,
+            { method: options.method, exact: useExact, format: 'raw', completeness: options.completeness }, report.warnings));
+        if (store) store.save();
+        const primaryCowId = cowRecord && (cowRecord.sId || cowRecord.sid);
+        const cowId = report.results.length > 0 ? report.results[0].cowId : (primaryCowId ? String(primaryCowId) : null);
+        if (report.errors.length > 0) return { cowId, candidates: [], excluded: [] };
+
+        const excluded = report.warnings
+            .filter(warning => warning.code === 'SKIPPED_PAIR')
+            .map(({ bullId, reason, message }) => ({ bullId, reason, message }));
+        const bullRecordsById = new Map(bullRecordsArray.map(record => [normalizeKey(String(record && (record.sId || record.sid)).trim()), record]));
+        const candidates = [];
+        report.results.forEach((result, order) => {
+            const value = useExact ? DyadicRational.parse(result.inbreedingCoefficientExact) : result.inbreedingCoefficient;
+            const candidate = { bullId: result.bullId, inbreedingCoefficient: formatValue(value) };
+            if (useExact) candidate.inbreedingCoefficientExact = result.inbreedingCoefficientExact;
+            if (result.pedigreeCompleteness) candidate.pedigreeCompleteness = formatCompleteness(result.pedigreeCompleteness, options, useExact);
+            if (result.degraded) { candidate.degraded = true; candidate.cycles = result.cycles; }
+            if (result.inbreedingCoefficient > maxInbreeding) {
+                excluded.push({
+                    bullId: result.bullId,
+                    reason: 'ABOVE_MAX_INBREEDING',
+                    message: `与母牛 ${result.cowId} 配对后代的近交系数 ${result.inbreedingCoefficient} 超过上限 ${maxInbreeding}。`,
+                    inbreedingCoefficient: candidate.inbreedingCoefficient
+                });
+                return;
+            }
+            if (meritOf) {
+                const merit = meritOf(result.bullId, bullRecordsById.get(result.bullId));
+                if (typeof merit !== 'number' || !Number.isFinite(merit)) {
+                    excluded.push({ bullId: result.bullId, reason: 'MISSING_MERIT', message: `公牛 ${result.bullId} 没有育种值，无法参与排序。` });
+                    return;
+                }
+                candidate.merit = merit;
+                candidate.score = merit - inbreedingPenalty * result.inbreedingCoefficient;
+            }
+            candidates.push({ candidate, inbreeding: result.inbreedingCoefficient, order });
+        });
+
+        // 有育种值时按得分从高到低，否则按近交系数从低到高；相同时依次比较近交系数与输入顺序
+        candidates.sort((a, b) => (meritOf ? b.candidate.score - a.candidate.score : 0) || a.inbreeding - b.inbreeding || a.order - b.order);
+        const ranked = candidates
+            .slice(0, options.limit === undefined ? candidates.length : options.limit)
+            .map(({ candidate }, index) => ({ rank: index + 1, ...candidate }));
+        return { cowId, candidates: ranked, excluded };
+    }
+
+    /**
+     * 计算全部母牛与公牛的配对近交系数，并据此制定选配方案：为每头母牛指定一头公牛，使后代的平均近交系数最小。
+     * 配对结果由 calculateForMultipleCows 计算（遵循 pedigreeScope 等配置），再交给 mateAllocation.js 的 allocateMates 精确求解。
+     * 所有配对都被跳过的母牛不会出现在方案中。
+     * @param {object[]} cowRecordsArray - 母牛谱系记录数组。
+     * @param {object[]} bullRecordsArray - 公牛谱系记录数组。
+     * @param {object} [options]
+     * @param {'path'|'classic'|'tabular'} [options.method] - 本次调用使用的计算方法，默认取 config.method。
+     * @param {boolean} [options.exact] - 本次调用是否精确计算，默认取 config.exact。
+     * @param {string|object} [options.format] - 方案中近交系数的数值格式，默认取 config.format。
+     * @param {number} [options.maxInbreeding] - 单个配对允许的最大近交系数（小数，如 0.0625），见 allocateMates。
+     * @param {object|Map<string, number>} [options.bullCaps] - 每头公牛的使用上限，见 allocateMates。
+     * @param {number} [options.defaultBullCap] - 未列出的公牛的使用上限，默认不限。
+     * @param {Array<{cowId: string, bullId: string}>} [options.forbiddenPairs] - 禁止的配对。启用 normalizeIds 时，
+     *        此处与 bullCaps 中的ID可以使用任意一种别名写法。
+     * @param {boolean} [options.completeness=false] - 为 true 时 matings 另含配对后代的 pedigreeCompleteness，同 calculateBreedingInbreeding。
+     * @returns {{matings: object[], unassignedCows: object[], bullUsage: object[], statistics: object}}
+     *          格式见 allocateMates；matings 与 statistics 中的近交系数按 format 输出。
+     *          输入无效时返回空方案。
+     * @throws {PedigreeCycleError} cyclePolicy 为 'reject' 且谱系中存在环路时抛出。
+     * @throws {PedigreeConflictError} parentPolicy 为 'reject' 且存在父母冲突时抛出。
+     */
+    function planMatings(cowRecordsArray, bullRecordsArray, options = {}) {
+        const useExact = options.exact !== undefined ? Boolean(options.exact) : exact;
+        const results = calculateForMultipleCows(cowRecordsArray, bullRecordsArray,
+            { method: options.method, exact: useExact, format: 'raw', completeness: options.completeness });
+        // 禁止配对与公牛上限中的ID可能是别名写法，按谱系相同的规则统一后再比较
+        const plan = allocateMates(results, { ...options, normalizeId: normalizeIds ? normalizeAnimalId : (id) => String(id).trim() });
+
+        const formatValue = formatterFor(options, useExact);
+        const formatStatistic = (value) => value === null ? null : formatValue(value);
+        const completenessByPair = new Map(results.map(result => [`${result.cowId}\0${result.bullId}`, result.pedigreeCompleteness]));
+        plan.matings.forEach(mating => {
+            mating.inbreedingCoefficient = formatValue(mating.inbreedingCoefficient);
+            const completeness = completenessByPair.get(`${mating.cowId}\0${mating.bullId}`);
+            if (completeness) mating.pedigreeCompleteness = formatCompleteness(completeness, options, useExact);
+        });
+        for (const key of ['meanInbreeding', 'minInbreeding', 'maxInbreeding', 'randomMatingMeanInbreeding']) {
+            plan.statistics[key] = formatStatistic(plan.statistics[key]);
+        }
+        return plan;
+    }
+
+    /**
+     * 检查谱系记录的质量问题而不进行计算：环路、不同记录为同一个体给出的相互冲突的父母，
+     * 以及同时以父亲和母亲身份出现的个体；启用 normalizeIds 时还会列出被合并的ID别名。
+     * @param {object[]} records - 谱系记录数组。
+     * @returns {{cycles: string[][], parentConflicts: object[], sexConflicts: object[], mergedAliases: object[]}}
+     *          cycles 格式见 BreedingPlanner#findCycles，
+     *          parentConflicts 格式见 BreedingPlanner#getParentConflicts（'reject' 策略下 resolvedParentId 为最先读到的亲本），
+     *          sexConflicts 格式见 BreedingPlanner#getSexConflicts，mergedAliases 格式见 BreedingPlanner#getMergedAliases。
+     */
+    function validatePedigree(records) {
+        if (!Array.isArray(records)) {
+            const error = new InvalidInputError("输入数据无效。请提供谱系记录数组。");
+            logger.error(error.message, error);
+            return { cycles: [], parentConflicts: [], sexConflicts: [], mergedAliases: [] };
+        }
+
+        const planner = new BreedingPlanner({ parentPolicy: parentPolicy === 'reject' ? 'first-wins' : parentPolicy, normalizeIds });
+        planner.loadPedigreeFromJson(records);
+        return {
+            cycles: planner.findCycles(),
+            parentConflicts: planner.getParentConflicts(),
+            sexConflicts: planner.getSexConflicts(),
+            mergedAliases: planner.getMergedAliases()
+        };
+    }
+
+    return {
+        calculateBreedingInbreeding,
+        calculateForMultipleCows,
+        calculateForMultipleCowsParallel,
+        calculateHerdInbreeding,
+        calculatePedigreeCompleteness,
+        calculateKinshipMatrix,
+        calculateRelationship,
+        recommendBulls,
+        planMatings,
+        validatePedigree
+    };
+}
+
+// 默认计算器即 README 推荐的版本三配置
+const {
+    calculateBreedingInbreeding,
+    calculateForMultipleCows,
+    calculateForMultipleCowsParallel,
+    calculateHerdInbreeding,
+    calculatePedigreeCompleteness,
+    calculateKinshipMatrix,
+    calculateRelationship,
+    recommendBulls,
+    planMatings,
+    validatePedigree
+} = createCalculator(PRESETS.isolated);
+
+// 导出模块的公共API
+module.exports = {
+    createCalculator,
+    calculateBreedingInbreeding,
+    calculateForMultipleCows,
+    calculateForMultipleCowsParallel,
+    calculateHerdInbreeding,
+    calculatePedigreeCompleteness,
+    calculateKinshipMatrix,
+    calculateRelationship,
+    recommendBulls,
+    planMatings,
+    validatePedigree,
+    allocateMates,
+    resultsToCSV,
+    findInvalidRecords,
+    KinshipMatrix,
+    DyadicRational,
+    PersistentCache,
+    PedigreeCompleteness,
+    InbreedingError,
+    InvalidInputError,
+    InvalidCowRecordError,
+    EmptyBullListError,
+    InvalidAnimalIdError,
+    PedigreeCycleError,
+    PedigreeConflictError,
+    parsePedigreeTable,
+    parseAnimalId,
+    normalizeAnimalId,
+    PRESETS,
+    WARNING_CODES,
+    UNASSIGNED_REASONS,
+    FORMAT_STYLES,
+    parseFormat,
+    CALCULATION_METHODS,
+    RELATIONSHIP_CODES,
+    PARENT_POLICIES,
+    PEDIGREE_SCOPES,
+    CYCLE_POLICIES
+};
@@ -0,0 +1,293 @@
+/**
+ * @file 选配方案
+ * @description 根据母牛 × 公牛的配对近交系数（calculateBreedingInbreeding / calculateForMultipleCows 的结果），
+ *              为每头母牛指定一头公牛，使全部配对后代的平均近交系数最小。支持每头公牛的使用上限、
+ *              单个配对的近交系数上限与禁止的配对。
+ *              求解使用带势函数的逐行最短增广路算法（即允许公牛被多次使用的匈牙利算法），得到的是精确最优解：
+ *              先使被分配的母牛尽可能多，再使其后代近交系数之和最小。
+ */
+
+const { InbreedingError } = require('./pedigree.js');
+const { DyadicRational } = require('./dyadic.js');
+
+/**
+ * 母牛未被分配公牛的原因。
+ * - 'NO_ELIGIBLE_BULL': 所有公牛都因超过近交系数上限或被禁止而不能与其配对。
+ * - 'BULL_CAPACITY': 存在可配对的公牛，但它们的使用次数已全部用完。
+ */
+const UNASSIGNED_REASONS = ['NO_ELIGIBLE_BULL', 'BULL_CAPACITY'];
+
+/**
+ * 为母牛分配公牛，使配对后代的平均近交系数最小。
+ * @param {object[]} results - 配对结果数组，每项至少包含 { bullId, cowId, inbreedingCoefficient }。
+ *        inbreedingCoefficient 为小数（如默认的 'fixed:8' 或 'raw' 格式）或 'fraction' 格式的分数字符串；
+ *        含 inbreedingCoefficientExact 时以精确值为准。同一配对出现多次时取第一次。
+ * @param {object} [options]
+ * @param {number} [options.maxInbreeding=Infinity] - 单个配对允许的最大近交系数，超过的配对不会被采用。
+ * @param {object|Map<string, number>} [options.bullCaps] - 每头公牛最多配几头母牛，如 { 'HO840M3269404443': 20 }。
+ * @param {number} [options.defaultBullCap=Infinity] - bullCaps 中未列出的公牛的使用上限。
+ * @param {Array<{cowId: string, bullId: string}>} [options.forbiddenPairs] - 禁止的配对。
+ * @param {function(string): string} [options.normalizeId] - 比较前统一ID写法的函数，作用于配对结果、bullCaps 与 forbiddenPairs 中的ID，
+ *        默认只去除首尾空白。谱系启用 normalizeIds 时应传入 normalizeAnimalId，使 'HOUSA…' 与 'HO840…' 等写法视为同一个体。
+ * @returns {{matings: object[], unassignedCows: object[], bullUsage: object[], statistics: object}} 选配方案：
+ *          - matings: [{ cowId, bullId, inbreedingCoefficient }]，按母牛首次出现的顺序排列，ID 为经 normalizeId 统一后的写法；
+ *          - unassignedCows: [{ cowId, reason }]，reason 见 UNASSIGNED_REASONS；
+ *          - bullUsage: [{ bullId, count, cap }]，cap 为 null 表示不限次数；
+ *          - statistics: { cowCount, bullCount, assignedCount, unassignedCount, meanInbreeding, minInbreeding,
+ *            maxInbreeding, randomMatingMeanInbreeding }，前三个近交系数统计已分配的配对（无配对时为 null），
+ *            randomMatingMeanInbreeding 为全部候选配对的平均值，可作为随机交配的对照。
+ * @throws {InbreedingError} results 不是数组或其中的记录无效时抛出，code 为 'INVALID_INPUT'。
+ * @throws {Error} 选项无效时抛出。
+ * @example
+ * const results = calculator.calculateForMultipleCows(cowDataArray, bullDataArray, { format: 'raw' });
+ * const plan = allocateMates(results, { maxInbreeding: 0.0625, defaultBullCap: 20 });
+ */
+function allocateMates(results, options = {}) {
+    if (!Array.isArray(results)) {
+        throw new InbreedingError('输入数据无效。请提供配对结果数组。', 'INVALID_INPUT');
+    }
+    const maxInbreeding = options.maxInbreeding === undefined ? Infinity : options.maxInbreeding;
+    if (typeof maxInbreeding !== 'number' || Number.isNaN(maxInbreeding)) {
+        throw new Error(`近交系数上限必须是数值，而不是 '${options.maxInbreeding}'。`);
+    }
+    const normalizeId = options.normalizeId || ((id) => String(id).trim());
+    const capOf = createCapLookup(options, normalizeId);
+    const forbidden = new Set((options.forbiddenPairs || []).map(({ cowId, bullId }) => pairKey(normalizeId(String(cowId)), normalizeId(String(bullId)))));
+
+    // 按首次出现的顺序编号母牛与公牛，并整理出配对近交系数表
+    const cowIds = [];
+    const bullIds = [];
+    const cowIndex = new Map();
+    const bullIndex = new Map();
+    const pairs = new Map();
+    for (const [position, result] of results.entries()) {
+        if (!result || result.cowId === undefined || result.bullId === undefined) {
+            throw new InbreedingError(`第 ${position + 1} 条配对结果缺少 cowId 或 bullId。`, 'INVALID_INPUT');
+        }
+        const cowId = normalizeId(String(result.cowId));
+        const bullId = normalizeId(String(result.bullId));
+        if (!cowIndex.has(cowId)) { cowIndex.set(cowId, cowIds.length); cowIds.push(cowId); }
+        if (!bullIndex.has(bullId)) { bullIndex.set(bullId, bullIds.length); bullIds.push(bullId); }
+        const key = pairKey(cowId, bullId);
+        if (!pairs.has(key)) pairs.set(key, toInbreedingNumber(result, position));
+    }
+
+    // costs[cow][bull] 为配对后代的近交系数，不允许的配对为 NaN
+    const caps = bullIds.map(capOf);
+    const costs = cowIds.map(cowId => Float64Array.from(bullIds, bullId => {
+        const key = pairKey(cowId, bullId);
+        const value = pairs.get(key);
+        return value === undefined || value > maxInbreeding || forbidden.has(key) ? NaN : value;
+    }));
+    const assignment = solveAssignment(costs, caps);
+
+    const matings = [];
+    const unassignedCows = [];
+    const usage = new Array(bullIds.length).fill(0);
+    assignment.forEach((bull, cow) => {
+        if (bull >= 0) {
+            usage[bull]++;
+            matings.push({ cowId: cowIds[cow], bullId: bullIds[bull], inbreedingCoefficient: costs[cow][bull] });
+        } else {
+            const hasEligibleBull = costs[cow].some((value, index) => !Number.isNaN(value) && caps[index] > 0);
+            unassignedCows.push({ cowId: cowIds[cow], reason: hasEligibleBull ? 'BULL_CAPACITY' : 'NO_ELIGIBLE_BULL' });
+        }
+    });
+
+    const values = matings.map(mating => mating.inbreedingCoefficient);
+    const allValues = Array.from(pairs.values());
+    const mean = (list) => list.length > 0 ? list.reduce((sum, value) => sum + value, 0) / list.length : null;
+    return {
+        matings,
+        unassignedCows,
+        bullUsage: bullIds.map((bullId, index) => ({ bullId, count: usage[index], cap: Number.isFinite(caps[index]) ? caps[index] : null })),
+        statistics: {
+            cowCount: cowIds.length,
+            bullCount: bullIds.length,
+            assignedCount: matings.length,
+            unassignedCount: unassignedCows.length,
+            meanInbreeding: mean(values),
+            minInbreeding: values.length > 0 ? Math.min(...values) : null,
+            maxInbreeding: values.length > 0 ? Math.max(...values) : null,
+            randomMatingMeanInbreeding: mean(allValues)
+        }
+    };
+}
+
+/**
+ * 带容量的指派问题：每头母牛至多分配一头公牛，公牛 j 至多分配 caps[j] 头母牛。
+ * 逐头加入母牛，每次在残量网络中用 Dijkstra（以势函数保证边权非负）寻找到汇点的最短增广路。
+ * 每头母牛另有一条费用为 M 的“不分配”边，M 大于任何可行方案的费用之和，因此最优解先最大化分配数，再最小化费用。
+ * @param {Float64Array[]} costs - costs[cow][bull]，NaN 表示不允许。费用须非负。
+ * @param {number[]} caps - 每头公牛的容量，可以为 Infinity。
+ * @returns {number[]} 每头母牛分配到的公牛下标，未分配为 -1。
+ */
+function solveAssignment(costs, caps) {
+    const cowCount = costs.length;
+    const bullCount = caps.length;
+    const sink = cowCount + bullCount; // 节点编号：母牛 0..n-1，公牛 n..n+b-1，汇点 n+b
+    const nodeCount = sink + 1;
+    let largestCost = 0;
+    for (const row of costs) for (const value of row) if (value > largestCost) largestCost = value;
+    const unassignedCost = (largestCost + 1) * (cowCount + 1);
+
+    const assignment = new Array(cowCount).fill(-1);
+    const cowsOfBull = Array.from({ length: bullCount }, () => new Set());
+    const potential = new Float64Array(nodeCount);
+    const distance = new Float64Array(nodeCount);
+    const previous = new Int32Array(nodeCount);
+    const finished = new Uint8Array(nodeCount);
+
+    for (let start = 0; start < cowCount; start++) {
+        distance.fill(Infinity);
+        previous.fill(-1);
+        finished.fill(0);
+        const heap = new DistanceHeap();
+        const relax = (from, to, cost) => {
+            const candidate = distance[from] + Math.max(0, cost + potential[from] - potential[to]);
+            if (candidate < distance[to]) {
+                distance[to] = candidate;
+                previous[to] = from;
+                heap.push(candidate, to);
+            }
+        };
+        distance[start] = 0;
+        heap.push(0, start);
+
+        while (heap.size > 0) {
+            const node = heap.pop();
+            if (finished[node]) continue;
+            finished[node] = 1;
+            if (node === sink) break;
+            if (node < cowCount) {
+                // 母牛 -> 尚未与其配对的公牛，或 -> 不分配
+                const row = costs[node];
+                for (let bull = 0; bull < bullCount; bull++) {
+                    if (!Number.isNaN(row[bull]) && assignment[node] !== bull) relax(node, cowCount + bull, row[bull]);
+                }
+                relax(node, sink, unassignedCost);
+            } else {
+                // 公牛 -> 汇点（尚有容量时），或沿反向边 -> 已分配给它的母牛
+                const bull = node - cowCount;
+                if (cowsOfBull[bull].size < caps[bull]) relax(node, sink, 0);
+                for (const cow of cowsOfBull[bull]) relax(node, cow, -costs[cow][bull]);
+            }
+        }
+
+        // 更新势函数：未确定最短距离的节点按汇点的距离计算，保证下一轮的边权仍然非负
+        for (let node = 0; node < nodeCount; node++) potential[node] += Math.min(distance[node], distance[sink]);
+
+        const path = [];
+        for (let node = sink; node !== -1; node = previous[node]) path.unshift(node);
+        for (let step = 0; step + 1 < path.length; step++) {
+            const from = path[step];
+            const to = path[step + 1];
+            if (from >= cowCount) continue; // 公牛 -> 母牛的反向边在该母牛改配时处理，公牛 -> 汇点无需处理
+            if (assignment[from] >= 0) cowsOfBull[assignment[from]].delete(from);
+            assignment[from] = to === sink ? -1 : to - cowCount;
+            if (to !== sink) cowsOfBull[to - cowCount].add(from);
+        }
+    }
+    return assignment;
+}
+
+/**
+ * @class DistanceHeap
+ * @description Dijkstra 使用的最小堆，按距离（相同时按节点编号）弹出节点。
+ */
+class DistanceHeap {
+    constructor() {
+        this.distances = [];
+        this.nodes = [];
+    }
+
+    get size() { return this.nodes.length; }
+
+    push(distance, node) {
+        this.distances.push(distance);
+        this.nodes.push(node);
+        let child = this.nodes.length - 1;
+        while (child > 0) {
+            const parent = (child - 1) >> 1;
+            if (!this._less(child, parent)) break;
+            this._swap(child, parent);
+            child = parent;
+        }
+    }
+
+    pop() {
+        const top = this.nodes[0];
+        const lastDistance = this.distances.pop();
+        const lastNode = this.nodes.pop();
+        if (this.nodes.length > 0) {
+            this.distances[0] = lastDistance;
+            this.nodes[0] = lastNode;
+            let parent = 0;
+            while (true) {
+                const left = 2 * parent + 1;
+                const right = left + 1;
+                let smallest = parent;
+                if (left < this.nodes.length && this._less(left, smallest)) smallest = left;
+                if (right < this.nodes.length && this._less(right, smallest)) smallest = right;
+                if (smallest === parent) break;
+                this._swap(parent, smallest);
+                parent = smallest;
+            }
+        }
+        return top;
+    }
+
+    _less(a, b) {
+        return this.distances[a] < this.distances[b] || (this.distances[a] === this.distances[b] && this.nodes[a] < this.nodes[b]);
+    }
+
+    _swap(a, b) {
+        [this.distances[a], this.distances[b]] = [this.distances[b], this.distances[a]];
+        [this.nodes[a], this.nodes[b]] = [this.nodes[b], this.nodes[a]];
+    }
+}
+
+/**
+ * 由 bullCaps 与 defaultBullCap 生成按公牛ID查询使用上限的函数。
+ * @param {object} options - allocateMates 的选项。
+ * @param {function(string): string} normalizeId - 统一公牛ID写法的函数。
+ * @returns {function(string): number}
+ */
+function createCapLookup({ bullCaps, defaultBullCap }, normalizeId) {
+    const fallback = defaultBullCap === undefined ? Infinity : defaultBullCap;
+    const entries = bullCaps instanceof Map ? Array.from(bullCaps) : Object.entries(bullCaps || {});
+    const caps = new Map(entries.map(([bullId, cap]) => [normalizeId(String(bullId)), cap]));
+    for (const [bullId, cap] of [...caps, ['(defaultBullCap)', fallback]]) {
+        if (!(cap === Infinity || (Number.isInteger(cap) && cap >= 0))) {
+            throw new Error(`公牛 ${bullId} 的使用上限必须是非负整数或 Infinity，而不是 '${cap}'。`);
+        }
+    }
+    return (bullId) => caps.has(bullId) ? caps.get(bullId) : fallback;
+}
+
+/**
+ * 读取配对结果中的近交系数，返回浮点数。
+ * @param {object} result - 配对结果。
+ * @param {number} position - 结果在数组中的下标，用于错误信息。
+ * @returns {number}
+ */
+function toInbreedingNumber(result, position) {
+    const value = result.inbreedingCoefficientExact !== undefined ? result.inbreedingCoefficientExact : result.inbreedingCoefficient;
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return value;
+    if (typeof value === 'string') {
+        try {
+            const parsed = DyadicRational.parse(value).toNumber();
+            if (parsed >= 0) return parsed;
+        } catch (error) { /* 在下方统一报告 */ }
+    }
+    throw new InbreedingError(`第 ${position + 1} 条配对结果的近交系数无效: '${value}'。`, 'INVALID_INPUT');
+}
+
+function pairKey(cowId, bullId) {
+    return JSON.stringify([String(cowId), String(bullId)]);
+}
+
+module.exports = {
+    allocateMates,
+    UNASSIGNED_REASONS
+};
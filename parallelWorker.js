@@ -0,0 +1,87 @@
+/**
+ * @file 并行批量计算的工作线程
+ * @description 由 createCalculator().calculateForMultipleCowsParallel 启动。主线程按 pedigreeScope 为每头母牛
+ *              （'pair' 范围下为每一对配对）构建谱系网络，压缩为 ID 数组与共享内存中的亲本下标 (SharedArrayBuffer)；
+ *              每个任务包含一批这样的计算单元，工作线程逐个重建 Animal 网络并计算，以 Float64Array 返回近交系数。
+ *              workers 为 0 时主线程直接调用 createTaskEvaluator，计算结果与工作线程完全相同。
+ */
+
+const { parentPort, workerData, isMainThread } = require('worker_threads');
+const { Animal } = require('./pedigree.js');
+const { RelatednessCalculator } = require('./relatednessCalculator.js');
+
+/**
+ * 将 BreedingPlanner 中的谱系网络压缩为可在线程间传递的形式。
+ * @param {Iterable<Animal>} animals - 谱系中的全部个体。
+ * @returns {{ids: string[], sires: Int32Array, dams: Int32Array, indexOf: Map<Animal, number>}}
+ *          sires/dams 为亲本在 ids 中的下标（未知为 -1），底层为 SharedArrayBuffer，传给工作线程时不复制。
+ */
+function compileGraph(animals) {
+    const list = Array.from(animals);
+    const indexOf = new Map(list.map((animal, index) => [animal, index]));
+    const sires = new Int32Array(new SharedArrayBuffer(list.length * Int32Array.BYTES_PER_ELEMENT)).fill(-1);
+    const dams = new Int32Array(new SharedArrayBuffer(list.length * Int32Array.BYTES_PER_ELEMENT)).fill(-1);
+    list.forEach((animal, index) => {
+        if (animal.getParent2()) sires[index] = indexOf.get(animal.getParent2());
+        if (animal.getParent1()) dams[index] = indexOf.get(animal.getParent1());
+    });
+    return { ids: list.map(animal => animal.getId()), sires, dams, indexOf };
+}
+
+/**
+ * 由 compileGraph 的结果重建 Animal 网络。
+ * @param {{ids: string[], sires: Int32Array, dams: Int32Array}} graph
+ * @returns {Animal[]} 与 graph.ids 一一对应的 Animal 对象。
+ */
+function buildAnimals({ ids, sires, dams }) {
+    const animals = ids.map(id => new Animal(id));
+    animals.forEach((animal, index) => {
+        if (dams[index] >= 0) animal.setParent1(animals[dams[index]]);
+        if (sires[index] >= 0) animal.setParent2(animals[sires[index]]);
+    });
+    return animals;
+}
+
+/**
+ * 创建任务计算函数。每个计算单元为一头母牛与若干公牛在同一谱系网络中的配对，
+ * 单元之间互不共享网络与计算器，与 calculateForMultipleCows 为每头母牛（或每对配对）单独建网一致。
+ * 'tabular' 方法按母牛求 A 矩阵的一列 (Colleau)，其余方法逐对调用 calculateOffspringInbreeding。
+ * @param {{method: string, caching: boolean}} options
+ * @returns {function(Array<{graph: object, cowIndex: number, bullIndexes: number[]}>): Float64Array}
+ *          输入计算单元数组（graph 为 compileGraph 的结果），返回按单元顺序、单元内按公牛顺序排列的近交系数。
+ */
+function createTaskEvaluator({ method, caching }) {
+    return (units) => {
+        const values = new Float64Array(units.reduce((sum, unit) => sum + unit.bullIndexes.length, 0));
+        let offset = 0;
+        for (const { graph, cowIndex, bullIndexes } of units) {
+            const animals = buildAnimals(graph);
+            const calculator = new RelatednessCalculator({ method, caching });
+            const cow = animals[cowIndex];
+            const bulls = bullIndexes.map(index => animals[index]);
+            if (method === 'tabular') {
+                const matrix = calculator.calculateCoancestryMatrix(bulls, [cow]);
+                bulls.forEach((bull, bullIndex) => { values[offset + bullIndex] = matrix[bullIndex][0]; });
+            } else {
+                bulls.forEach((bull, bullIndex) => { values[offset + bullIndex] = calculator.calculateOffspringInbreeding(bull, cow); });
+            }
+            offset += bulls.length;
+        }
+        return values;
+    };
+}
+
+// 作为工作线程启动时：逐个处理主线程派发的任务
+if (!isMainThread && workerData && workerData.method) {
+    const evaluate = createTaskEvaluator(workerData);
+    parentPort.on('message', ({ taskId, units }) => {
+        const values = evaluate(units);
+        parentPort.postMessage({ taskId, values }, [values.buffer]);
+    });
+}
+
+module.exports = {
+    compileGraph,
+    buildAnimals,
+    createTaskEvaluator
+};
@@ -0,0 +1,863 @@
+/**
+ * @file 谱系数据模型
+ * @description 定义谱系网络中的动物节点 (Animal)，以及负责解析扁平化谱系记录、构建动物对象网络的育种规划器 (BreedingPlanner)。
+ */
+
+const fs = require('fs');
+const { normalizeAnimalId } = require('./animalId.js');
+const { PedigreeCompleteness } = require('./pedigreeCompleteness.js');
+
+/**
+ * 同一个体被多条记录赋予不同父母时的处理策略。
+ * - 'first-wins': 保留最先读到的关系（版本一、二、四的行为）。
+ * - 'last-wins': 以最后读到的关系为准（版本三、六的行为），用于处理谱系假设变更。
+ * - 'majority': 采用被最多记录支持的关系，票数相同时取最先读到的。
+ * - 'reject': 存在任何冲突时抛出 PedigreeConflictError。
+ */
+const PARENT_POLICIES = ['first-wins', 'last-wins', 'majority', 'reject'];
+
+/**
+ * 谱系记录中祖先字段的键名格式，如 'fId'、'mmId'、'ffmfId'。
+ */
+const PEDIGREE_KEY_PATTERN = /^([fm]+)Id$/;
+
+/**
+ * 三列式谱系文件的默认读取选项。
+ */
+const DEFAULT_TABLE_OPTIONS = {
+    delimiter: 'auto',                        // ','、'\t'、'whitespace' 或 'auto'（按首个数据行自动判断）
+    header: true,                             // 首行是否为列名
+    columns: { id: 'id', sire: 'sire', dam: 'dam', sex: 'sex' }, // 列名（有表头时）或从 0 开始的列下标，性别列可以没有
+    missingValues: ['', '0', 'NA', '.']       // 表示未知亲本/空值的记号
+};
+
+/**
+ * 谱系文件性别列中可识别的写法（不区分大小写）及其对应的 Animal 性别。
+ */
+const SEX_CODES = { M: 'M', MALE: 'M', '公': 'M', F: 'F', FEMALE: 'F', '母': 'F' };
+
+/**
+ * @class InbreedingError
+ * @description 本模块所有可预期错误的基类。code 为机器可读的错误代码，便于集成方区分错误类型；
+ *              toJSON 使错误在序列化为 JSON 时保留 name、code 与 message。
+ */
+class InbreedingError extends Error {
+    /**
+     * @param {string} message - 错误说明。
+     * @param {string} code - 错误代码，如 'PEDIGREE_CYCLE'。
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'InbreedingError';
+        this.code = code;
+    }
+
+    toJSON() {
+        return { ...this, name: this.name, code: this.code, message: this.message };
+    }
+}
+
+/**
+ * @class InvalidAnimalIdError
+ * @description 动物 ID 为空或为 'undefined'、'null' 等无效值时由 Animal 构造函数抛出的错误。
+ */
+class InvalidAnimalIdError extends InbreedingError {
+    /**
+     * @param {*} id - 无效的 ID。
+     */
+    constructor(id) {
+        super(`无效的动物 ID: '${id}'。`, 'INVALID_ANIMAL_ID');
+        this.name = 'InvalidAnimalIdError';
+        this.animalId = id === undefined ? null : id;
+    }
+}
+
+/**
+ * @class PedigreeCycleError
+ * @description 谱系中存在环路（某个体是其自身的祖先）时抛出的错误。
+ */
+class PedigreeCycleError extends InbreedingError {
+    /**
+     * @param {string[][]} cycles - 环路列表，每个环路为首尾相同的 ID 序列，由子代指向亲本。
+     */
+    constructor(cycles) {
+        super(`谱系中存在环路（个体是其自身的祖先）: ${cycles.map(cycle => cycle.join(' -> ')).join('; ')}。`, 'PEDIGREE_CYCLE');
+        this.name = 'PedigreeCycleError';
+        this.cycles = cycles;
+    }
+}
+
+/**
+ * @class PedigreeConflictError
+ * @description 父母关系处理策略为 'reject' 且多条记录为同一个体给出不同父母时抛出的错误。
+ */
+class PedigreeConflictError extends InbreedingError {
+    /**
+     * @param {object[]} conflicts - 冲突列表，格式见 BreedingPlanner#getParentConflicts。
+     */
+    constructor(conflicts) {
+        const describe = ({ animalId, role, candidates }) =>
+            `${animalId} 的${role === 'sire' ? '父亲' : '母亲'}: ${candidates.map(candidate => candidate.parentId).join(' / ')}`;
+        super(`谱系记录中存在相互冲突的父母关系: ${conflicts.map(describe).join('; ')}。`, 'PEDIGREE_CONFLICT');
+        this.name = 'PedigreeConflictError';
+        this.conflicts = conflicts;
+    }
+}
+
+/**
+ * @class Animal
+ * @description 代表谱系网络中的一个节点（即一个动物个体）。
+ */
+class Animal {
+    /**
+     * @param {string|number} id - 动物的唯一标识符。
+     * @param {Animal|null} parent1 - 母亲（parent1）的Animal对象实例。
+     * @param {Animal|null} parent2 - 父亲（parent2）的Animal对象实例。
+     * @throws {InvalidAnimalIdError} ID 为空或为 'undefined'、'null' 时抛出。
+     */
+    constructor(id, parent1 = null, parent2 = null) {
+        if (id === null || id === undefined || String(id).trim() === '' || String(id).toLowerCase() === 'undefined' || String(id).toLowerCase() === 'null') {
+            throw new InvalidAnimalIdError(id);
+        }
+        this.id = String(id).trim();
+        this.parent1 = parent1;
+        this.parent2 = parent2;
+        this.sex = null;      // 'M'（公）、'F'（母）或 null（未知），取自记录的 sex 字段，否则由谱系位置推断
+        this.attributes = {}; // 谱系文件中的附加列，如出生日期
+    }
+    getId() { return this.id; }
+    getParent1() { return this.parent1; }
+    getParent2() { return this.parent2; }
+    getSex() { return this.sex; }
+    setParent1(parent1) { this.parent1 = parent1; }
+    setParent2(parent2) { this.parent2 = parent2; }
+    setSex(sex) { this.sex = sex; }
+
+    /**
+     * 获取此动物的所有祖先（不包括自身）。
+     * @returns {Set<Animal>} 包含所有祖先Animal对象的集合。
+     */
+    getAncestors() {
+        const ancestors = new Set();
+        const queue = [];
+        if (this.parent1) queue.push(this.parent1);
+        if (this.parent2) queue.push(this.parent2);
+
+        const visited = new Set();
+        if (this.parent1) visited.add(this.parent1.id);
+        if (this.parent2) visited.add(this.parent2.id);
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            ancestors.add(current);
+
+            const p1 = current.getParent1();
+            if (p1 && !visited.has(p1.id)) { queue.push(p1); visited.add(p1.id); }
+            const p2 = current.getParent2();
+            if (p2 && !visited.has(p2.id)) { queue.push(p2); visited.add(p2.id); }
+        }
+        return ancestors;
+    }
+    toString() { return this.id; }
+    equals(other) {
+        if (this === other) return true;
+        if (other === null || !other || this.constructor !== other.constructor) return false;
+        return this.id === other.id;
+    }
+}
+
+/**
+ * @class BreedingPlanner
+ * @description 育种规划器，负责解析谱系数据、构建动物对象网络。
+ */
+class BreedingPlanner {
+    /**
+     * @param {object} [options]
+     * @param {'first-wins'|'last-wins'|'majority'|'reject'} [options.parentPolicy='first-wins'] - 多条记录给出不同父母时的处理策略。
+     * @param {boolean} [options.normalizeIds=false] - 是否将 Interbull ID 规范化，使 'HOUSA…' 与 'HO840…' 等别名合并为同一个体。
+     */
+    constructor(options = {}) {
+        const parentPolicy = options.parentPolicy || 'first-wins';
+        if (!PARENT_POLICIES.includes(parentPolicy)) {
+            throw new Error(`不支持的父母关系处理策略: '${parentPolicy}'。可选值: ${PARENT_POLICIES.join(', ')}。`);
+        }
+        this.parentPolicy = parentPolicy;
+        this.normalizeIds = Boolean(options.normalizeIds);
+        this.animalMap = new Map();
+        this.idAliases = new Map();    // 规范化ID -> 出现过的原始写法
+        this.parentClaims = new Map(); // 个体ID -> { sire: [], dam: [] }，记录每条记录给出的父母及其来源
+        this.claimsByParent = new Map(); // 亲本ID -> { sire: Set, dam: Set }，parentClaims 中以该个体为父亲/母亲的候选关系
+        this.roleRecords = new Map();  // 个体ID -> { sire: Set, dam: Set }，记录个体以父亲/母亲身份出现的来源记录
+        this.changeListeners = [];     // 谱系变更的订阅者，见 onChange
+    }
+
+    /**
+     * 根据ID获取或创建一个Animal对象实例。
+     * 在单次计算中，此方法确保每个ID只对应一个唯一的Animal对象；启用 normalizeIds 时，同一个体的不同写法对应同一个对象，
+     * 且对象的ID为规范化后的写法。
+     * @param {string|number|null} id - 动物的ID。
+     * @returns {Animal|null} 对应的Animal对象，如果ID无效则返回null。
+     */
+    getOrCreateAnimal(id) {
+        if (id === null || id === undefined || String(id).trim() === '') { return null; }
+        const trimmedId = String(id).trim();
+        const key = this.normalizeIds ? normalizeAnimalId(trimmedId) : trimmedId;
+        if (!this.animalMap.has(key)) {
+            this.animalMap.set(key, new Animal(key));
+        }
+        if (this.normalizeIds) {
+            if (!this.idAliases.has(key)) this.idAliases.set(key, new Set());
+            this.idAliases.get(key).add(trimmedId);
+        }
+        return this.animalMap.get(key);
+    }
+
+    /**
+     * 查找谱系中已有的个体，不会创建新个体。启用 normalizeIds 时可使用任意一种写法。
+     * @param {string|number} id - 动物的ID。
+     * @returns {Animal|null} 对应的Animal对象，不在谱系中时返回null。
+     */
+    getAnimal(id) {
+        if (id === null || id === undefined || String(id).trim() === '') return null;
+        return this.animalMap.get(this._resolveId(id)) || null;
+    }
+
+    /**
+     * 列出启用 normalizeIds 后被合并的个体及其在记录中出现过的全部写法。
+     * @returns {{animalId: string, aliases: string[]}[]} 仅包含出现过两种及以上写法的个体。
+     */
+    getMergedAliases() {
+        const merged = [];
+        for (const [animalId, aliases] of this.idAliases) {
+            if (aliases.size > 1) merged.push({ animalId, aliases: Array.from(aliases) });
+        }
+        return merged;
+    }
+
+    /**
+     * 从JSON对象数组中加载谱系数据，并在内存中构建起完整的、相互关联的动物对象网络。
+     * 祖先字段可以是任意深度的 '[fm]+Id' 键，键名即从本个体出发的路径（f 为父亲、m 为母亲），
+     * 例如 'fmId' 为父亲的母亲，其父母分别为 'fmfId' 与 'fmmId'。没有自身ID ('sId' 或 'sid') 的记录会被跳过。
+     * 记录的 sex 字段（'M' 或 'F'）给出个体自身的性别，优先于由谱系位置推断的性别。
+     * @param {object[]} jsonDataArray - 包含一个或多个谱系记录的数组。
+     * @throws {PedigreeConflictError} parentPolicy 为 'reject' 且存在父母冲突时抛出，此时谱系保持加载前的状态。
+     */
+    loadPedigreeFromJson(jsonDataArray) {
+        if (this.parentPolicy === 'reject') {
+            // 先在只含已有候选关系的副本上读取记录并检查冲突，存在冲突时不修改本谱系
+            const preview = new BreedingPlanner({ parentPolicy: this.parentPolicy, normalizeIds: this.normalizeIds });
+            for (const [animalId, claims] of this.parentClaims) {
+                preview.parentClaims.set(animalId, { sire: [...claims.sire], dam: [...claims.dam] });
+                claims.sire.forEach(claim => preview._indexClaim(claim, 'sire'));
+                claims.dam.forEach(claim => preview._indexClaim(claim, 'dam'));
+            }
+            preview._readRecords(jsonDataArray);
+            const conflicts = preview.getParentConflicts();
+            if (conflicts.length > 0) throw new PedigreeConflictError(conflicts);
+        }
+
+        const { touchedAnimals, parentsBefore } = this._readRecords(jsonDataArray);
+        for (const animal of touchedAnimals) this._resolveParents(animal);
+        const changedAnimals = Array.from(parentsBefore)
+            .filter(([animal, [parent1, parent2]]) => animal.getParent1() !== parent1 || animal.getParent2() !== parent2)
+            .map(([animal]) => animal);
+        this._notifyChange(changedAnimals);
+    }
+
+    /**
+     * 订阅谱系变更。addAnimal、setParents、removeAnimal 或再次加载记录改变了某些个体的父母后，
+     * 监听函数会收到受影响的个体：父母发生变化（或被删除）的个体及其全部后代。
+     * @param {function(Animal[]): void} listener - 变更监听函数。
+     * @returns {function(): void} 取消订阅的函数。
+     * @example
+     * const unsubscribe = planner.onChange(animals => calculator.invalidate(animals));
+     */
+    onChange(listener) {
+        this.changeListeners.push(listener);
+        return () => {
+            this.changeListeners = this.changeListeners.filter(existing => existing !== listener);
+        };
+    }
+
+    /**
+     * 增量添加一个个体，并可同时指定其父母。个体已存在时等同于 setParents。
+     * @param {string|number} id - 个体ID。
+     * @param {{sire?: string|number|null, dam?: string|number|null}} [parents] - 父亲与母亲的ID，见 setParents。
+     * @returns {Animal} 新增（或已存在）的个体。
+     * @throws {InvalidAnimalIdError} ID 无效时抛出。
+     */
+    addAnimal(id, parents = {}) {
+        const animal = this.getOrCreateAnimal(id);
+        if (!animal) throw new InvalidAnimalIdError(id);
+        this.setParents(animal, parents);
+        return animal;
+    }
+
+    /**
+     * 修改个体的父母。省略（undefined）的一方保持不变，传入 null 表示改为未知。
+     * 手动指定的亲本会取代记录中该个体同一身份的全部候选关系，不再参与 parentPolicy 的取舍与冲突报告；
+     * 原亲本由这些关系得到的父母身份记录（见 getRecordedRoles）也一并删除。
+     * 父母发生变化时通知订阅者（见 onChange）。
+     * @param {Animal|string} animal - 个体或其ID。
+     * @param {{sire?: string|number|null, dam?: string|number|null}} parents - 父亲与母亲的ID。
+     * @returns {Animal} 被修改的个体。
+     * @throws {InbreedingError} 个体不在谱系中时抛出，code 为 'ANIMAL_NOT_FOUND'。
+     */
+    setParents(animal, { sire, dam } = {}) {
+        const child = this._requireAnimal(animal);
+        const parentsBefore = [child.getParent1(), child.getParent2()];
+        const source = { id: null, sid: child.getId() };
+        for (const [role, parentId] of [['dam', dam], ['sire', sire]]) {
+            if (parentId === undefined) continue;
+            const parent = this.getOrCreateAnimal(parentId);
+            if (!this.parentClaims.has(child.getId())) this.parentClaims.set(child.getId(), { sire: [], dam: [] });
+            const claims = this.parentClaims.get(child.getId());
+            const replacedClaims = claims[role];
+            claims[role] = parent ? [{ parentId: parent.getId(), source }] : [];
+            claims[role].forEach(claim => this._indexClaim(claim, role));
+            this._unindexClaims(replacedClaims, role);
+            this._dropRoleRecords(replacedClaims, role);
+            this._addRoleRecord(parent, role, source);
+            if (role === 'dam') child.setParent1(parent); else child.setParent2(parent);
+        }
+        if (child.getParent1() !== parentsBefore[0] || child.getParent2() !== parentsBefore[1]) {
+            this._notifyChange([child]);
+        }
+        return child;
+    }
+
+    /**
+     * 从谱系中删除一个个体。其子代的对应亲本改为未知，其父母由它的记录得到的父母身份记录随之删除，
+     * 并通知订阅者（受影响的个体包括被删除的个体及其全部后代）。
+     * @param {Animal|string} animal - 个体或其ID。
+     * @returns {boolean} 个体存在并被删除时为 true。
+     */
+    removeAnimal(animal) {
+        const id = this._resolveId(animal);
+        const removed = this.animalMap.get(id);
+        if (!removed) return false;
+
+        const affectedAnimals = this.getDescendants(removed);
+        for (const child of affectedAnimals) {
+            if (child.getParent1() === removed) child.setParent1(null);
+            if (child.getParent2() === removed) child.setParent2(null);
+            const claims = this.parentClaims.get(child.getId());
+            if (!claims) continue;
+            for (const role of ['sire', 'dam']) {
+                this._unindexClaims(claims[role].filter(claim => claim.parentId === id), role);
+                claims[role] = claims[role].filter(claim => claim.parentId !== id);
+            }
+        }
+        const ownClaims = this.parentClaims.get(id);
+        this.animalMap.delete(id);
+        this.idAliases.delete(id);
+        this.parentClaims.delete(id);
+        this.roleRecords.delete(id);
+        if (ownClaims) {
+            this._unindexClaims(ownClaims.sire, 'sire');
+            this._unindexClaims(ownClaims.dam, 'dam');
+            this._dropRoleRecords(ownClaims.sire, 'sire');
+            this._dropRoleRecords(ownClaims.dam, 'dam');
+        }
+        // 删除后子代已与其断开，因此使用删除前求得的后代
+        this._emitChange(Array.from(affectedAnimals));
+        return true;
+    }
+
+    /**
+     * 获取一组个体及其全部后代。
+     * @param {Animal|Iterable<Animal>} animals - 起点个体。
+     * @returns {Set<Animal>} 起点个体与谱系中其全部后代的集合。
+     */
+    getDescendants(animals) {
+        const childrenOf = new Map();
+        for (const animal of this.animalMap.values()) {
+            for (const parent of [animal.getParent1(), animal.getParent2()]) {
+                if (!parent) continue;
+                if (!childrenOf.has(parent)) childrenOf.set(parent, []);
+                childrenOf.get(parent).push(animal);
+            }
+        }
+        const descendants = new Set(animals instanceof Animal ? [animals] : animals);
+        const queue = Array.from(descendants);
+        while (queue.length > 0) {
+            for (const child of childrenOf.get(queue.shift()) || []) {
+                if (!descendants.has(child)) { descendants.add(child); queue.push(child); }
+            }
+        }
+        return descendants;
+    }
+
+    /**
+     * 计算谱系中每个个体的谱系完整度，见 pedigreeCompleteness.js。
+     * @param {object} [options]
+     * @param {number} [options.generations=5] - 各世代完整度与 MacCluer 指数追溯的世代数。
+     * @returns {Map<string, object>} 个体ID到其谱系完整度的映射，格式见 PedigreeCompleteness#calculate。
+     */
+    calculatePedigreeCompleteness(options = {}) {
+        const completeness = new PedigreeCompleteness(options);
+        const results = new Map();
+        for (const [id, animal] of this.animalMap) results.set(id, completeness.calculate(animal));
+        return results;
+    }
+
+    /**
+     * 列出所有被不同记录赋予了不同父亲或母亲的个体。
+     * @returns {object[]} 冲突列表，每项格式为
+     *          { animalId, role: 'sire'|'dam', resolvedParentId, candidates: [{ parentId, sources: [{ id, sid }] }] }，
+     *          其中 sources 为给出该亲本的记录（记录的 'id' 字段与其自身ID），resolvedParentId 为按 parentPolicy 采用的亲本。
+     */
+    getParentConflicts() {
+        const conflicts = [];
+        for (const [animalId, claims] of this.parentClaims) {
+            for (const role of ['sire', 'dam']) {
+                const candidates = new Map();
+                for (const { parentId, source } of claims[role]) {
+                    if (!candidates.has(parentId)) candidates.set(parentId, { parentId, sources: [] });
+                    candidates.get(parentId).sources.push(source);
+                }
+                if (candidates.size < 2) continue;
+                conflicts.push({
+                    animalId,
+                    role,
+                    resolvedParentId: this._chooseParentId(claims[role]),
+                    candidates: Array.from(candidates.values())
+                });
+            }
+        }
+        return conflicts;
+    }
+
+    /**
+     * 返回个体在谱系记录中以父亲、母亲身份出现的来源记录。
+     * @param {Animal|string} animal - 个体或其ID。
+     * @returns {{sire: {id, sid}[], dam: {id, sid}[]}} 两种身份各自的来源记录，未出现过时为空数组。
+     */
+    getRecordedRoles(animal) {
+        const roles = this.roleRecords.get(this._resolveId(animal));
+        return roles ? { sire: Array.from(roles.sire), dam: Array.from(roles.dam) } : { sire: [], dam: [] };
+    }
+
+    /**
+     * 列出在谱系记录中既以父亲身份、又以母亲身份出现的个体（通常是录入错误）。
+     * @returns {object[]} 冲突列表，每项格式为 { animalId, inferredSex, asSire: [{ id, sid }], asDam: [{ id, sid }] }，
+     *          inferredSex 为按最先读到的身份推断的性别。
+     */
+    getSexConflicts() {
+        const conflicts = [];
+        for (const [animalId, roles] of this.roleRecords) {
+            if (roles.sire.size === 0 || roles.dam.size === 0) continue;
+            conflicts.push({ animalId, inferredSex: this.animalMap.get(animalId).getSex(), asSire: Array.from(roles.sire), asDam: Array.from(roles.dam) });
+        }
+        return conflicts;
+    }
+
+    /**
+     * 从三列式（个体、父亲、母亲）谱系文本中加载谱系数据，支持 CSV、TSV 与空白分隔格式。
+     * 性别列给出 Animal 的性别，其余列（如出生日期）会保存到对应 Animal 的 attributes 中。
+     * @param {string} text - 谱系文件内容。
+     * @param {object} [options] - 读取选项，见 parsePedigreeTable。
+     */
+    loadPedigreeFromTable(text, options = {}) {
+        const records = parsePedigreeTable(text, options);
+        this.loadPedigreeFromJson(records);
+        for (const { sId, attributes } of records) {
+            if (attributes) Object.assign(this.getOrCreateAnimal(sId).attributes, attributes);
+        }
+    }
+
+    /**
+     * 读取三列式谱系文件并加载，参见 loadPedigreeFromTable。
+     * @param {string} filePath - 谱系文件路径（UTF-8 编码）。
+     * @param {object} [options] - 读取选项，见 parsePedigreeTable。
+     */
+    loadPedigreeFromFile(filePath, options = {}) {
+        this.loadPedigreeFromTable(fs.readFileSync(filePath, 'utf8'), options);
+    }
+
+    /**
+     * 查找谱系网络中的所有环路（某个体经由父母关系回到自身）。
+     * 使用 Tarjan 算法求强连通分量，每个包含环路的强连通分量报告一条代表性的 ID 链。
+     * @returns {string[][]} 环路列表，每个环路为首尾相同的 ID 序列，按 子代 -> 亲本 的方向排列，
+     *          例如 ['A', 'B', 'A'] 表示 A 的亲本是 B，而 B 的亲本又是 A。无环路时返回空数组。
+     */
+    findCycles() {
+        const parentsOf = (animal) => [animal.getParent1(), animal.getParent2()].filter(Boolean);
+        const indexOf = new Map();
+        const lowLink = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const components = [];
+        let nextIndex = 0;
+
+        for (const root of this.animalMap.values()) {
+            if (indexOf.has(root)) continue;
+            // 迭代式深度优先搜索，避免深层谱系导致调用栈溢出
+            const work = [{ animal: root, parents: parentsOf(root), next: 0 }];
+            indexOf.set(root, nextIndex); lowLink.set(root, nextIndex); nextIndex++;
+            stack.push(root); onStack.add(root);
+
+            while (work.length > 0) {
+                const frame = work[work.length - 1];
+                if (frame.next < frame.parents.length) {
+                    const parent = frame.parents[frame.next++];
+                    if (!indexOf.has(parent)) {
+                        indexOf.set(parent, nextIndex); lowLink.set(parent, nextIndex); nextIndex++;
+                        stack.push(parent); onStack.add(parent);
+                        work.push({ animal: parent, parents: parentsOf(parent), next: 0 });
+                    } else if (onStack.has(parent)) {
+                        lowLink.set(frame.animal, Math.min(lowLink.get(frame.animal), indexOf.get(parent)));
+                    }
+                    continue;
+                }
+
+                work.pop();
+                if (work.length > 0) {
+                    const caller = work[work.length - 1].animal;
+                    lowLink.set(caller, Math.min(lowLink.get(caller), lowLink.get(frame.animal)));
+                }
+                if (lowLink.get(frame.animal) === indexOf.get(frame.animal)) {
+                    const component = new Set();
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack.delete(member);
+                        component.add(member);
+                    } while (member !== frame.animal);
+                    components.push(component);
+                }
+            }
+        }
+
+        const cycles = [];
+        for (const component of components) {
+            const [start] = component;
+            if (component.size === 1 && !parentsOf(start).includes(start)) continue;
+
+            // 在强连通分量内广度优先搜索，找出一条从 start 回到 start 的最短链
+            const previous = new Map();
+            const queue = [start];
+            let closing = null;
+            while (queue.length > 0 && !closing) {
+                const current = queue.shift();
+                for (const parent of parentsOf(current)) {
+                    if (parent === start) { closing = current; break; }
+                    if (component.has(parent) && !previous.has(parent)) {
+                        previous.set(parent, current);
+                        queue.push(parent);
+                    }
+                }
+            }
+            const chain = [start.getId()];
+            for (let animal = closing; animal !== start; animal = previous.get(animal)) chain.unshift(animal.getId());
+            chain.unshift(start.getId());
+            cycles.push(chain);
+        }
+        return cycles;
+    }
+
+    /**
+     * @private
+     * 读取记录中的个体、候选父母关系与父母身份，尚不选定父母。
+     * @returns {{touchedAnimals: Set<Animal>, parentsBefore: Map<Animal, Animal[]>}} 记录中给出了父母的个体，
+     *          以及有订阅者时这些个体原先的父母（用于判断哪些个体的父母被改变）。
+     */
+    _readRecords(jsonDataArray) {
+        const touchedAnimals = new Set();
+        const parentsBefore = new Map(); // 有订阅者时记录已有个体原先的父母，用于判断哪些个体的父母被改变
+        for (const record of jsonDataArray) {
+            // 兼容驼峰命名 'sId' 和全小写 'sid' 作为动物自身ID。
+            const mainAnimalId = record.sId || record.sid;
+            const mainAnimal = this.getOrCreateAnimal(mainAnimalId);
+            if (!mainAnimal) continue;
+            if (record.sex === 'M' || record.sex === 'F') mainAnimal.setSex(record.sex);
+            const source = { id: record.id === undefined ? null : record.id, sid: mainAnimal.getId() };
+
+            // 祖先路径 -> 祖先ID，空路径代表本个体
+            const idsByPath = new Map([['', mainAnimalId]]);
+            for (const key of Object.keys(record)) {
+                const match = PEDIGREE_KEY_PATTERN.exec(key);
+                if (match) idsByPath.set(match[1], record[key]);
+            }
+
+            // 以 f 结尾的位置是父亲，以 m 结尾的位置是母亲
+            for (const [path, id] of idsByPath) {
+                if (path === '') continue;
+                this._addRoleRecord(this.getOrCreateAnimal(id), path.endsWith('f') ? 'sire' : 'dam', source);
+            }
+
+            // 由近及远处理，同一代内父系在前，与原先固定字段的处理顺序一致
+            const paths = Array.from(idsByPath.keys()).sort((a, b) => a.length - b.length || a.localeCompare(b));
+            for (const path of paths) {
+                const childAnimal = this.getOrCreateAnimal(idsByPath.get(path));
+                if (!childAnimal) continue;
+                if (this.changeListeners.length > 0 && !parentsBefore.has(childAnimal)) {
+                    parentsBefore.set(childAnimal, [childAnimal.getParent1(), childAnimal.getParent2()]);
+                }
+
+                this._addParentClaim(childAnimal, 'dam', idsByPath.get(`${path}m`), source);
+                this._addParentClaim(childAnimal, 'sire', idsByPath.get(`${path}f`), source);
+                touchedAnimals.add(childAnimal);
+            }
+        }
+        return { touchedAnimals, parentsBefore };
+    }
+
+    /**
+     * @private
+     * 记录一条“某记录认为 child 的父亲/母亲是 parentId”的关系。
+     */
+    _addParentClaim(childAnimal, role, parentId, source) {
+        const parent = this.getOrCreateAnimal(parentId);
+        if (!parent) return;
+        if (!this.parentClaims.has(childAnimal.getId())) {
+            this.parentClaims.set(childAnimal.getId(), { sire: [], dam: [] });
+        }
+        const claims = this.parentClaims.get(childAnimal.getId())[role];
+        // 同一条记录中重复出现的同一关系只计一次
+        if (claims.some(claim => claim.source === source && claim.parentId === parent.getId())) return;
+        const claim = { parentId: parent.getId(), source };
+        claims.push(claim);
+        this._indexClaim(claim, role);
+    }
+
+    /**
+     * @private
+     * 将 parentClaims 中的一条候选关系加入按亲本ID建立的索引 claimsByParent。
+     */
+    _indexClaim(claim, role) {
+        if (!this.claimsByParent.has(claim.parentId)) {
+            this.claimsByParent.set(claim.parentId, { sire: new Set(), dam: new Set() });
+        }
+        this.claimsByParent.get(claim.parentId)[role].add(claim);
+    }
+
+    /**
+     * @private
+     * 将已从 parentClaims 中移除的候选关系移出索引 claimsByParent。
+     */
+    _unindexClaims(claims, role) {
+        for (const claim of claims) {
+            const indexed = this.claimsByParent.get(claim.parentId);
+            if (indexed) indexed[role].delete(claim);
+        }
+    }
+
+    /**
+     * @private
+     * 记录个体在某条记录中以父亲 ('sire') 或母亲 ('dam') 身份出现，并在性别未知时据此推断性别。
+     */
+    _addRoleRecord(animal, role, source) {
+        if (!animal) return;
+        if (!this.roleRecords.has(animal.getId())) {
+            this.roleRecords.set(animal.getId(), { sire: new Set(), dam: new Set() });
+        }
+        this.roleRecords.get(animal.getId())[role].add(source);
+        if (animal.getSex() === null) animal.setSex(role === 'sire' ? 'M' : 'F');
+    }
+
+    /**
+     * @private
+     * 撤销被替换或删除的候选关系留下的父母身份记录：来源记录不再以该身份给出这个亲本时，将其从亲本的身份记录中删除，
+     * 避免 getSexConflicts 与配对时的性别检查仍按旧关系报告冲突。
+     * @param {{parentId: string, source: object}[]} claims - 已从 parentClaims 与 claimsByParent 中移除的候选关系。
+     * @param {'sire'|'dam'} role - 候选关系的身份。
+     */
+    _dropRoleRecords(claims, role) {
+        for (const { parentId, source } of claims) {
+            const records = this.roleRecords.get(parentId);
+            if (!records) continue;
+            // 只需查看仍以该个体为此身份亲本的候选关系，不必扫描全部 parentClaims
+            const remaining = this.claimsByParent.get(parentId);
+            const stillClaimed = remaining !== undefined && Array.from(remaining[role]).some(claim => claim.source === source);
+            if (!stillClaimed) records[role].delete(source);
+        }
+    }
+
+    /**
+     * @private
+     * 将个体或ID转换为谱系中使用的ID（启用 normalizeIds 时为规范化写法）。
+     */
+    _resolveId(animal) {
+        const id = typeof animal === 'object' && animal !== null ? animal.getId() : String(animal).trim();
+        return this.normalizeIds ? normalizeAnimalId(id) : id;
+    }
+
+    /**
+     * @private
+     * 查找谱系中已有的个体，不存在时抛出 InbreedingError。
+     */
+    _requireAnimal(animal) {
+        const found = this.animalMap.get(this._resolveId(animal));
+        if (!found) throw new InbreedingError(`谱系中不存在个体: '${animal}'。`, 'ANIMAL_NOT_FOUND');
+        return found;
+    }
+
+    /**
+     * @private
+     * 将父母发生变化的个体连同其全部后代通知给订阅者。没有订阅者或没有变化时不做任何事。
+     */
+    _notifyChange(changedAnimals) {
+        if (this.changeListeners.length === 0 || changedAnimals.length === 0) return;
+        this._emitChange(Array.from(this.getDescendants(changedAnimals)));
+    }
+
+    /**
+     * @private
+     * 将受影响的个体通知给全部订阅者。
+     */
+    _emitChange(affectedAnimals) {
+        for (const listener of this.changeListeners) listener(affectedAnimals);
+    }
+
+    /**
+     * @private
+     * 按 parentPolicy 从已记录的关系中为个体选定父母。
+     */
+    _resolveParents(animal) {
+        const claims = this.parentClaims.get(animal.getId());
+        if (!claims) return;
+        if (claims.dam.length > 0) animal.setParent1(this.animalMap.get(this._chooseParentId(claims.dam)));
+        if (claims.sire.length > 0) animal.setParent2(this.animalMap.get(this._chooseParentId(claims.sire)));
+    }
+
+    /**
+     * @private
+     * 按 parentPolicy 从候选关系中选出一个亲本ID。'reject' 策略下先取最先读到的，冲突由调用方报告。
+     * @param {{parentId: string}[]} claims - 按读取顺序排列的非空候选关系。
+     * @returns {string} 选定的亲本ID。
+     */
+    _chooseParentId(claims) {
+        if (this.parentPolicy === 'last-wins') return claims[claims.length - 1].parentId;
+        if (this.parentPolicy !== 'majority') return claims[0].parentId;
+
+        const votes = new Map();
+        for (const { parentId } of claims) votes.set(parentId, (votes.get(parentId) || 0) + 1);
+        let chosen = claims[0].parentId;
+        for (const [parentId, count] of votes) {
+            if (count > votes.get(chosen)) chosen = parentId;
+        }
+        return chosen;
+    }
+}
+
+/**
+ * 解析三列式（个体、父亲、母亲）谱系文本，转换为 loadPedigreeFromJson 可直接使用的记录。
+ * 空行与以 '#' 开头的注释行会被忽略；CSV/TSV 字段可用双引号包裹。
+ * @param {string} text - 谱系文件内容。
+ * @param {object} [options]
+ * @param {','|'\t'|'whitespace'|'auto'} [options.delimiter='auto'] - 分隔符，'auto' 时依次尝试制表符、逗号、空白。
+ * @param {boolean} [options.header=true] - 首行是否为列名。
+ * @param {{id: string|number, sire: string|number, dam: string|number, sex?: string|number}} [options.columns] - 各列的列名或列下标，
+ *        三个必需列默认 'id'、'sire'、'dam'（无表头时默认为第 0、1、2 列）。性别列默认 'sex'，表中没有该列时忽略；
+ *        无表头时只有指定了下标才读取性别列。
+ * @param {string[]} [options.missingValues=['', '0', 'NA', '.']] - 表示未知值的记号。
+ * @returns {object[]} 记录数组，格式为 { sId, fId, mId, sex?, attributes? }，未知亲本为 null。
+ *          sex 为 'M' 或 'F'（性别列中的 M/MALE/公、F/FEMALE/母，不区分大小写）；其余列按列名放在 attributes 中，
+ *          无法识别的性别写法也原样保留在 attributes 中。附加列因此不会与 fId、mId 等祖先字段混淆。
+ * @example
+ * parsePedigreeTable('id,sire,dam,sex,birth\nC1,B1,0,F,2021-03-02');
+ * // -> [{ sId: 'C1', fId: 'B1', mId: null, sex: 'F', attributes: { birth: '2021-03-02' } }]
+ */
+function parsePedigreeTable(text, options = {}) {
+    const { delimiter, header, missingValues } = { ...DEFAULT_TABLE_OPTIONS, ...options };
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '' && !line.trim().startsWith('#'));
+    if (lines.length === 0) return [];
+
+    const separator = delimiter !== 'auto' ? delimiter
+        : lines[0].includes('\t') ? '\t'
+        : lines[0].includes(',') ? ','
+        : 'whitespace';
+    const rows = lines.map(line => splitTableLine(line, separator));
+
+    const headerRow = header ? rows.shift().map(name => name.trim()) : null;
+    const columnNames = headerRow || rows[0].map((value, index) => String(index));
+    const columns = header
+        ? { ...DEFAULT_TABLE_OPTIONS.columns, ...options.columns }
+        : { id: 0, sire: 1, dam: 2, ...options.columns };
+    const resolveColumn = (column, role) => {
+        const index = typeof column === 'number' ? column : columnNames.findIndex(name => name.toLowerCase() === String(column).toLowerCase());
+        if (index < 0 || index >= columnNames.length) {
+            throw new Error(`谱系文件中找不到${role}列: '${column}'。`);
+        }
+        return index;
+    };
+    const idIndex = resolveColumn(columns.id, '个体');
+    const sireIndex = resolveColumn(columns.sire, '父亲');
+    const damIndex = resolveColumn(columns.dam, '母亲');
+    // 未指定性别列时按默认列名查找，找不到则没有性别列
+    const sexSpecified = options.columns && options.columns.sex !== undefined;
+    const sexIndex = sexSpecified ? resolveColumn(columns.sex, '性别')
+        : header ? columnNames.findIndex(name => name.toLowerCase() === DEFAULT_TABLE_OPTIONS.columns.sex) : -1;
+    const extraIndexes = headerRow ? headerRow.map((name, index) => index).filter(index => ![idIndex, sireIndex, damIndex, sexIndex].includes(index)) : [];
+
+    const missing = new Set(missingValues.map(value => String(value).trim()));
+    const valueAt = (row, index) => {
+        const value = index < row.length ? row[index].trim() : '';
+        return missing.has(value) ? null : value;
+    };
+
+    const records = [];
+    for (const row of rows) {
+        const sId = valueAt(row, idIndex);
+        if (!sId) continue;
+        const record = { sId, fId: valueAt(row, sireIndex), mId: valueAt(row, damIndex) };
+        const attributes = {};
+        const sexValue = sexIndex >= 0 ? valueAt(row, sexIndex) : null;
+        if (sexValue !== null) {
+            const sex = SEX_CODES[sexValue.toUpperCase()];
+            if (sex) record.sex = sex;
+            else attributes[columnNames[sexIndex]] = sexValue;
+        }
+        for (const index of extraIndexes) {
+            const value = valueAt(row, index);
+            if (value !== null) attributes[headerRow[index]] = value;
+        }
+        if (Object.keys(attributes).length > 0) record.attributes = attributes;
+        records.push(record);
+    }
+    return records;
+}
+
+/**
+ * 按分隔符切分一行谱系文本。逗号与制表符分隔时支持以双引号包裹字段（字段内的 "" 表示一个双引号）。
+ * @param {string} line - 一行文本。
+ * @param {string} separator - ','、'\t' 或 'whitespace'。
+ * @returns {string[]} 字段数组。
+ */
+function splitTableLine(line, separator) {
+    if (separator === 'whitespace') return line.trim().split(/\s+/);
+
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') { quoted = false; }
+            else { field += char; }
+        } else if (char === '"' && field.trim() === '') {
+            quoted = true;
+            field = '';
+        } else if (char === separator) {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+module.exports = {
+    Animal,
+    BreedingPlanner,
+    InbreedingError,
+    InvalidAnimalIdError,
+    PedigreeCycleError,
+    PedigreeConflictError,
+    parsePedigreeTable,
+    PARENT_POLICIES
+};
@@ -0,0 +1,137 @@
+/**
+ * @file 谱系完整度
+ * @description 近交系数为 0 既可能表示亲本间确实没有亲缘关系，也可能只是祖先不详。
+ *              本模块按谱系网络计算每个个体（及两个亲本假想后代）的谱系完整度，用于识别信息不足的近交系数：
+ *              - 各世代完整度：第 g 代已知祖先数占 2^g 的比例；
+ *              - MacCluer 指数：4·C_父·C_母 / (C_父 + C_母)，C 为前 d 代中父系或母系一侧已知祖先占该代全部祖先比例的平均值
+ *                （每侧最大 0.5），指数在 0 到 1 之间，任一侧完全未知时为 0（MacCluer 等，1983）；
+ *              - 完整世代数：祖先全部已知的最远世代；
+ *              - 最大世代数：已知最远祖先所在的世代；
+ *              - 等效完整世代数：各已知祖先 (1/2)^g 之和，即各世代完整度之和。
+ *              祖先经多条路径出现时按路径分别计数；环路处按未知亲本处理。
+ */
+
+/**
+ * 默认计算各世代完整度与 MacCluer 指数时追溯的世代数。
+ */
+const DEFAULT_COMPLETENESS_GENERATIONS = 5;
+
+/**
+ * @class PedigreeCompleteness
+ * @description 谱系完整度计算器，缓存已计算个体的结果。谱系被修改后，调用 invalidate 或通过 watch 订阅变更。
+ */
+class PedigreeCompleteness {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.generations=5] - 各世代完整度与 MacCluer 指数追溯的世代数 d（正整数）。
+     *        完整世代数、最大世代数与等效完整世代数不受此限制，始终追溯全部已知祖先。
+     */
+    constructor(options = {}) {
+        const generations = options.generations === undefined ? DEFAULT_COMPLETENESS_GENERATIONS : options.generations;
+        if (!Number.isInteger(generations) || generations < 1) {
+            throw new Error(`谱系完整度的世代数必须是正整数，而不是 '${options.generations}'。`);
+        }
+        this.generations = generations;
+        this.cache = new Map(); // Animal -> 内部结果，见 _combine
+    }
+
+    /**
+     * 计算一个个体的谱系完整度。
+     * @param {Animal} animal - 谱系中的个体。
+     * @returns {{generationCompleteness: number[], maccluerIndex: number, completeGenerations: number,
+     *           maximumGenerations: number, equivalentGenerations: number}}
+     *          generationCompleteness[g - 1] 为第 g 代（父母为第 1 代）的完整度，共 generations 项。
+     */
+    calculate(animal) {
+        return this._publish(this._compute(animal, new Set()));
+    }
+
+    /**
+     * 计算两个亲本假想后代的谱系完整度，格式同 calculate。
+     * @param {Animal|null} sire - 父亲，未知时为 null。
+     * @param {Animal|null} dam - 母亲，未知时为 null。
+     */
+    calculateOffspring(sire, dam) {
+        const inProgress = new Set();
+        return this._publish(this._combine(
+            dam ? this._compute(dam, inProgress) : null,
+            sire ? this._compute(sire, inProgress) : null
+        ));
+    }
+
+    /**
+     * 使给定个体的缓存结果失效。后代的结果也依赖于这些个体，调用方需一并传入，
+     * BreedingPlanner#onChange 通知的个体集合已包含全部后代。
+     * @param {Iterable<Animal>} animals - 父母被改变的个体及其后代。
+     */
+    invalidate(animals) {
+        for (const animal of animals) this.cache.delete(animal);
+    }
+
+    /**
+     * 订阅谱系的变更，谱系被修改时自动使受影响个体的缓存失效。
+     * @param {BreedingPlanner} planner
+     * @returns {function(): void} 取消订阅的函数。
+     */
+    watch(planner) {
+        return planner.onChange(animals => this.invalidate(animals));
+    }
+
+    /**
+     * @private
+     * 递归计算个体的内部结果。正在计算中的个体再次出现说明存在环路，此时按未知亲本处理。
+     */
+    _compute(animal, inProgress) {
+        if (this.cache.has(animal)) return this.cache.get(animal);
+        inProgress.add(animal);
+        const parentResult = (parent) => parent && !inProgress.has(parent) ? this._compute(parent, inProgress) : null;
+        const result = this._combine(parentResult(animal.getParent1()), parentResult(animal.getParent2()));
+        inProgress.delete(animal);
+        this.cache.set(animal, result);
+        return result;
+    }
+
+    /**
+     * @private
+     * 由母亲与父亲的内部结果（未知为 null）合成个体的内部结果：
+     * { levels, maccluerIndex, completeGenerations, maximumGenerations, equivalentGenerations }，
+     * levels[g] 为第 g 代的完整度，levels[0] 为个体自身，恒为 1。
+     */
+    _combine(dam, sire) {
+        const levels = [1];
+        for (let generation = 1; generation <= this.generations; generation++) {
+            levels.push(((dam ? dam.levels[generation - 1] : 0) + (sire ? sire.levels[generation - 1] : 0)) / 2);
+        }
+        // 一侧前 d 代（亲本自身为该侧第 1 代）已知祖先占该代全部祖先的比例的平均值，每代该侧最多占一半
+        const sideCompleteness = (parent) => parent ? parent.levels.slice(0, this.generations).reduce((sum, value) => sum + value / 2, 0) / this.generations : 0;
+        const damSide = sideCompleteness(dam);
+        const sireSide = sideCompleteness(sire);
+        const knownParents = [dam, sire].filter(Boolean);
+        return {
+            levels,
+            maccluerIndex: damSide + sireSide > 0 ? 4 * damSide * sireSide / (damSide + sireSide) : 0,
+            completeGenerations: dam && sire ? 1 + Math.min(dam.completeGenerations, sire.completeGenerations) : 0,
+            maximumGenerations: knownParents.length > 0 ? 1 + Math.max(...knownParents.map(parent => parent.maximumGenerations)) : 0,
+            equivalentGenerations: knownParents.reduce((sum, parent) => sum + (1 + parent.equivalentGenerations) / 2, 0)
+        };
+    }
+
+    /**
+     * @private
+     * 将内部结果转换为返回给调用方的对象。
+     */
+    _publish(result) {
+        return {
+            generationCompleteness: result.levels.slice(1),
+            maccluerIndex: result.maccluerIndex,
+            completeGenerations: result.completeGenerations,
+            maximumGenerations: result.maximumGenerations,
+            equivalentGenerations: result.equivalentGenerations
+        };
+    }
+}
+
+module.exports = {
+    PedigreeCompleteness,
+    DEFAULT_COMPLETENESS_GENERATIONS
+};
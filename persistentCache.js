@@ -0,0 +1,125 @@
+/**
+ * @file 近交系数的磁盘缓存
+ * @description 将个体近交系数与配对共祖系数保存到本地 JSON 文件，供每晚重复运行的批量任务跨进程复用。
+ *              缓存键由 RelatednessCalculator 根据个体祖先子图的内容哈希生成：祖先的父母一旦改变，哈希随之改变，
+ *              旧的缓存项不会再被读到，因此无需手动清除。
+ * @example
+ * const { PersistentCache } = require('./persistentCache.js');
+ * const store = new PersistentCache('inbreeding-cache.json');
+ * const calculator = new RelatednessCalculator({ caching: true, store });
+ * // ... 计算 ...
+ * store.save();
+ */
+
+const fs = require('fs');
+const { defaultLogger } = require('./relatednessCalculator.js');
+
+/**
+ * 缓存文件格式的版本号。读到其他版本的文件时忽略其内容，下次保存时覆盖。
+ */
+const CACHE_FILE_VERSION = 1;
+
+/**
+ * @class PersistentCache
+ * @description 以 JSON 文件保存的键值缓存。构造时读取已有文件，修改只在内存中进行，调用 save 时写回磁盘。
+ */
+class PersistentCache {
+    /**
+     * @param {string} filePath - 缓存文件路径，文件不存在时从空缓存开始。
+     * @param {object} [options]
+     * @param {object} [options.logger] - 日志器。缓存文件无法读取或写入时通过 warn 输出警告，
+     *        第二个参数为 { code: 'CACHE_FILE_UNREADABLE'|'CACHE_FILE_UNWRITABLE', message, filePath }。
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.logger = options.logger || defaultLogger;
+        this.entries = new Map();
+        this.dirty = false;
+        this._load();
+    }
+
+    /** @returns {number} 缓存项数量。 */
+    get size() { return this.entries.size; }
+
+    has(key) { return this.entries.has(key); }
+
+    get(key) { return this.entries.get(key); }
+
+    /**
+     * @param {string} key - 缓存键。
+     * @param {number|string} value - 可写入 JSON 的值。
+     */
+    set(key, value) {
+        if (this.entries.get(key) === value) return;
+        this.entries.set(key, value);
+        this.dirty = true;
+    }
+
+    /**
+     * 清空全部缓存项（下次保存时写入空文件）。
+     */
+    clear() {
+        if (this.entries.size === 0) return;
+        this.entries.clear();
+        this.dirty = true;
+    }
+
+    /**
+     * 将缓存写回磁盘。先写入临时文件再重命名，避免进程中断时留下不完整的文件。
+     * 写入失败时输出警告而不抛出，计算结果不受影响。
+     * @returns {boolean} 是否写入了文件；没有新的缓存项时不写入。
+     */
+    save() {
+        if (!this.dirty) return false;
+        const temporaryPath = `${this.filePath}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(temporaryPath, JSON.stringify({ version: CACHE_FILE_VERSION, entries: Object.fromEntries(this.entries) }));
+            fs.renameSync(temporaryPath, this.filePath);
+        } catch (error) {
+            try { fs.unlinkSync(temporaryPath); } catch (ignored) { /* 临时文件可能未创建 */ }
+            this._warn('CACHE_FILE_UNWRITABLE', `无法写入缓存文件 ${this.filePath}: ${error.message}`);
+            return false;
+        }
+        this.dirty = false;
+        return true;
+    }
+
+    /**
+     * @private
+     * 读取缓存文件。文件损坏或版本不符时从空缓存开始，并输出警告。
+     */
+    _load() {
+        let text;
+        try {
+            text = fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            this._warn('CACHE_FILE_UNREADABLE', `无法读取缓存文件 ${this.filePath}: ${error.message}`);
+            return;
+        }
+        let content;
+        try {
+            content = JSON.parse(text);
+        } catch (error) {
+            this._warn('CACHE_FILE_UNREADABLE', `缓存文件 ${this.filePath} 不是有效的 JSON，将重新建立缓存。`);
+            return;
+        }
+        if (!content || content.version !== CACHE_FILE_VERSION || typeof content.entries !== 'object' || content.entries === null) {
+            this._warn('CACHE_FILE_UNREADABLE', `缓存文件 ${this.filePath} 的格式版本不受支持，将重新建立缓存。`);
+            return;
+        }
+        this.entries = new Map(Object.entries(content.entries));
+    }
+
+    /**
+     * @private
+     */
+    _warn(code, message) {
+        this.logger.warn(message, { code, message, filePath: this.filePath });
+    }
+}
+
+module.exports = {
+    PersistentCache,
+    CACHE_FILE_VERSION
+};
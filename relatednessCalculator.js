@@ -0,0 +1,948 @@
+/**
+ * @file 近交系数核心算法
+ * @description 封装近交系数与共祖系数的计算：Wright 路径系数法（可选经典的路径独立性检查）、Henderson 表格法、
+ *              Meuwissen–Luo 整群算法与 Colleau 共祖系数矩阵算法，并可选启用多级缓存和诊断日志。
+ */
+
+const crypto = require('crypto');
+const { DyadicRational } = require('./dyadic.js');
+
+/**
+ * 支持的近交系数计算方法。
+ * - 'path': Wright 路径系数法，枚举双亲到每个共同祖先的全部路径，累加 (0.5)^(n1+n2+1) * (1+F_A)。
+ * - 'classic': 经典路径法，在 'path' 的基础上只计入除共同祖先外不共享中间个体的独立路径对。
+ * - 'tabular': Henderson 表格法，在拓扑排序后的谱系上构建加性亲缘关系矩阵 (A 矩阵)。
+ */
+const CALCULATION_METHODS = ['path', 'classic', 'tabular'];
+
+/**
+ * 亲缘关系类别，见 RelatednessCalculator#classifyRelationship。
+ * - 'SELF': 同一个体。
+ * - 'PARENT_OFFSPRING'、'GRANDPARENT_GRANDOFFSPRING'、'ANCESTOR_DESCENDANT': 直系，相隔 1 代、2 代、3 代及以上。
+ * - 'FULL_SIBS'、'HALF_SIBS': 全同胞、半同胞。
+ * - 'AVUNCULAR'、'HALF_AVUNCULAR': 一方是另一方祖先的（全/半）同胞，如叔侄、舅甥、叔祖与侄孙。
+ * - 'COUSINS'、'HALF_COUSINS'、'DOUBLE_COUSINS': 表亲（堂亲），共享一对、不成对或两对以上的共同祖先（一对指互为配偶的两个祖先）。
+ * - 'UNRELATED': 谱系中没有共同祖先。
+ */
+const RELATIONSHIP_CODES = [
+    'SELF', 'PARENT_OFFSPRING', 'GRANDPARENT_GRANDOFFSPRING', 'ANCESTOR_DESCENDANT',
+    'FULL_SIBS', 'HALF_SIBS', 'AVUNCULAR', 'HALF_AVUNCULAR',
+    'COUSINS', 'HALF_COUSINS', 'DOUBLE_COUSINS', 'UNRELATED'
+];
+
+const CHINESE_NUMERALS = ['一', '二', '三', '四', '五', '六', '七', '八', '九', '十'];
+
+/**
+ * 不输出任何诊断信息、仅转发警告与错误的默认日志器。
+ */
+const defaultLogger = {
+    debug() {},
+    warn(message) { console.warn(message); },
+    error(message) { console.error(message); }
+};
+
+/**
+ * 祖先近交系数中 Kalinowski 分解的基因下落模拟默认参数：重复次数与随机数种子。
+ * 种子固定，同一谱系重复运行的结果相同。
+ */
+const DEFAULT_GENE_DROP_OPTIONS = { replicates: 10000, seed: 1 };
+
+/**
+ * 近交系数计算所用的数值运算。浮点运算与原有实现逐位相同；精确运算使用 DyadicRational，不产生舍入误差。
+ * half(x, n) 为 x × (1/2)^n；serialize/deserialize 用于写入与读取磁盘缓存（JSON）。
+ */
+const FLOAT_ARITHMETIC = {
+    zero: 0.0,
+    one: 1.0,
+    add: (a, b) => a + b,
+    subtract: (a, b) => a - b,
+    multiply: (a, b) => a * b,
+    half: (x, times = 1) => Math.pow(0.5, times) * x,
+    toNumber: (x) => x,
+    createRow: (size) => new Float64Array(size),
+    serialize: (x) => x,
+    deserialize: (value) => value
+};
+
+const EXACT_ARITHMETIC = {
+    zero: DyadicRational.ZERO,
+    one: DyadicRational.ONE,
+    add: (a, b) => a.add(b),
+    subtract: (a, b) => a.subtract(b),
+    multiply: (a, b) => a.multiply(b),
+    half: (x, times = 1) => x.half(times),
+    toNumber: (x) => x.toNumber(),
+    createRow: (size) => new Array(size).fill(DyadicRational.ZERO),
+    serialize: (x) => x.toString(),
+    deserialize: (value) => DyadicRational.parse(value)
+};
+
+/**
+ * @class PathNode
+ * @description 在DFS寻路算法中，用于存储路径信息的辅助类。
+ */
+class PathNode {
+    constructor(animal, path) { this.animal = animal; this.path = path; }
+}
+
+/**
+ * @class RelatednessCalculator
+ * @description 封装了近交系数计算的核心算法。可选启用多级缓存以优化性能。缓存会在实例的整个生命周期内保留，
+ *              谱系数据变化时调用 invalidate（或用 watch 订阅 BreedingPlanner 的变更），只清除受影响个体的缓存项。
+ */
+class RelatednessCalculator {
+    /**
+     * @param {object} [options]
+     * @param {'path'|'classic'|'tabular'} [options.method='path'] - 近交系数的计算方法。
+     * @param {boolean} [options.caching=false] - 是否缓存个体近交系数、配对后代近交系数与寻路路径。
+     * @param {object} [options.logger] - 日志器，需提供 debug/warn/error 方法。每次配对计算的诊断信息通过 debug 输出。
+     * @param {boolean} [options.exact=false] - 是否以二进有理数 (DyadicRational) 精确计算。启用后 calculateInbreeding、
+     *        calculateOffspringInbreeding 与 explainOffspringInbreeding 中的数值均为 DyadicRational；
+     *        整群计算与共祖系数矩阵不受影响，始终使用浮点数。
+     * @param {object} [options.store] - 跨进程复用的缓存（如 persistentCache.js 的 PersistentCache），需提供 has/get/set 方法。
+     *        个体近交系数与配对后代近交系数以祖先子图的内容哈希为键写入，不受 caching 选项影响；
+     *        祖先处于环路中的个体不写入。
+     */
+    constructor(options = {}) {
+        const method = options.method || 'path';
+        if (!CALCULATION_METHODS.includes(method)) {
+            throw new Error(`不支持的计算方法: '${method}'。可选值: ${CALCULATION_METHODS.join(', ')}。`);
+        }
+        this.method = method;
+        this.caching = Boolean(options.caching);
+        this.logger = options.logger || defaultLogger;
+        this.exact = Boolean(options.exact);
+        this.arithmetic = this.exact ? EXACT_ARITHMETIC : FLOAT_ARITHMETIC;
+        this.store = options.store || null;
+        this.inbreedingCache = new Map();         // 缓存每个个体的近交系数 (F)
+        this.offspringInbreedingCache = new Map(); // 缓存特定配对后代的近交系数
+        this.pathCache = new Map();                // 缓存个体间的血缘路径
+        this.offspringKeysByAnimal = new Map();    // 个体ID -> 涉及该个体的配对缓存键，用于按个体清除缓存
+        this.pathKeysByAnimal = new Map();         // 个体ID -> 以该个体为起点的路径缓存键
+        this.ancestryHashes = new Map();           // 个体ID -> 祖先子图的内容哈希（祖先中有环路时为 null），用作 store 的键
+        this.ancestralInbreedingCache = new Map(); // 缓存每个个体的 Ballou 祖先近交系数 (F_a)
+        this.currentlyCalculatingF = new Set();    // 用于检测和防止递归死循环
+    }
+
+    /**
+     * 计算并返回指定个体的近交系数 (F)。
+     * @param {Animal} animal - 需要计算近交系数的动物对象。
+     * @returns {number|DyadicRational} 该动物的近交系数，exact 模式下为 DyadicRational。
+     */
+    calculateInbreeding(animal) {
+        if (!animal) return this.arithmetic.zero;
+        const id = animal.getId();
+        if (this.caching && this.inbreedingCache.has(id)) return this.inbreedingCache.get(id);
+        if (this.currentlyCalculatingF.has(id)) { return this.arithmetic.zero; } // 发现递归环路（降级模式），按规则返回0
+
+        const storeKey = this._storeKey('F', [animal]);
+        if (storeKey && this.store.has(storeKey)) {
+            const storedValue = this.arithmetic.deserialize(this.store.get(storeKey));
+            if (this.caching) this.inbreedingCache.set(id, storedValue);
+            return storedValue;
+        }
+
+        this.currentlyCalculatingF.add(id);
+        const parent1 = animal.getParent1();
+        const parent2 = animal.getParent2();
+        let inbreedingCoefficient = this.arithmetic.zero;
+        if (parent1 && parent2) {
+            inbreedingCoefficient = this.calculateOffspringInbreeding(parent1, parent2);
+        }
+        if (this.caching) this.inbreedingCache.set(id, inbreedingCoefficient);
+        if (storeKey) this.store.set(storeKey, this.arithmetic.serialize(inbreedingCoefficient));
+        this.currentlyCalculatingF.delete(id);
+        return inbreedingCoefficient;
+    }
+
+    /**
+     * 计算两个亲本（parent1, parent2）的假想后代的近交系数。
+     * @param {Animal} parent1 - 亲本一。
+     * @param {Animal} parent2 - 亲本二。
+     * @returns {number|DyadicRational} 假想后代的近交系数，exact 模式下为 DyadicRational。
+     */
+    calculateOffspringInbreeding(parent1, parent2) {
+        if (!parent1 || !parent2) return this.arithmetic.zero;
+
+        let p1 = parent1; let p2 = parent2;
+        let cacheKey = null;
+        if (this.caching) {
+            // 保证缓存键的顺序一致性
+            if (p1.getId().localeCompare(p2.getId()) > 0) { [p1, p2] = [p2, p1]; }
+            cacheKey = `${p1.getId()},${p2.getId()}`;
+            if (this.offspringInbreedingCache.has(cacheKey)) {
+                const cachedValue = this.offspringInbreedingCache.get(cacheKey);
+                this.logger.debug(`\n--- 配对计算(从缓存读取): ${p1.getId()} 和 ${p2.getId()} ---`);
+                this.logger.debug(`缓存的后代近交系数 (F): ${this.arithmetic.toNumber(cachedValue).toFixed(8)}`);
+                this.logger.debug(`--------------------------------------------------`);
+                return cachedValue;
+            }
+        }
+        const storeKey = this._storeKey('pair', [p1, p2]);
+        if (storeKey && this.store.has(storeKey)) {
+            const storedValue = this.arithmetic.deserialize(this.store.get(storeKey));
+            this.logger.debug(`\n--- 配对计算(从磁盘缓存读取): ${p1.getId()} 和 ${p2.getId()} ---`);
+            this.logger.debug(`缓存的后代近交系数 (F): ${this.arithmetic.toNumber(storedValue).toFixed(8)}`);
+            this.logger.debug(`--------------------------------------------------`);
+            this._rememberOffspringInbreeding(cacheKey, p1, p2, storedValue);
+            return storedValue;
+        }
+
+        const commonAncestors = this._findCommonAncestors(p1, p2);
+        let totalF = this.arithmetic.zero;
+        if (this.method === 'tabular') {
+            totalF = this._calculateOffspringInbreedingTabular(p1, p2);
+        } else {
+            this._forEachPathPair(p1, p2, commonAncestors, (ancestor, fAncestor, path1, path2, contribution) => {
+                totalF = this.arithmetic.add(totalF, contribution);
+            });
+        }
+
+        this.logger.debug(`\n--- 正在计算配对: ${p1.getId()} 和 ${p2.getId()} ---`);
+        const commonAncestorIds = Array.from(commonAncestors).map(a => a.getId());
+        if (commonAncestorIds.length > 0) {
+            this.logger.debug(`共同祖先列表: [${commonAncestorIds.join(', ')}]`);
+        } else {
+            this.logger.debug("共同祖先列表: 无");
+        }
+        this.logger.debug(`计算出的后代近交系数 (F): ${this.arithmetic.toNumber(totalF).toFixed(8)}`);
+        this.logger.debug(`--------------------------------------------------`);
+
+        this._rememberOffspringInbreeding(cacheKey, p1, p2, totalF);
+        if (storeKey) this.store.set(storeKey, this.arithmetic.serialize(totalF));
+        return totalF;
+    }
+
+    /**
+     * 计算任意两个个体之间的亲缘关系。
+     * - 加性亲缘关系 a_xy：A 矩阵中的对应元素，同一个体为 1 + F_x。
+     * - 共祖系数 f_xy = a_xy / 2，即两者假想后代的近交系数。
+     * - Wright 亲缘系数 R = a_xy / sqrt((1 + F_x)(1 + F_y))，全同胞或亲子（无近交时）为 0.5，同一个体为 1。
+     * 无论 method 如何设置都按表格法构建 A 矩阵：路径法在一方是另一方的祖先时会把经过该个体的路径重复计入。
+     * @param {Animal} animal1 - 个体一。
+     * @param {Animal} animal2 - 个体二。
+     * @returns {{coancestry: number|DyadicRational, additiveRelationship: number|DyadicRational, relationshipCoefficient: number,
+     *            inbreeding1: number|DyadicRational, inbreeding2: number|DyadicRational}}
+     *          exact 模式下除 relationshipCoefficient 外均为 DyadicRational；R 含平方根，始终为浮点数。
+     */
+    calculateRelationship(animal1, animal2) {
+        const { one, subtract, half, toNumber } = this.arithmetic;
+        const order = this._sortAncestorsTopologically([animal1, animal2]);
+        const matrix = this._buildRelationshipMatrix(order);
+        const index1 = order.indexOf(animal1);
+        const index2 = order.indexOf(animal2);
+        // A 矩阵对角线为 1 + F
+        const inbreedingOf = (index) => subtract(matrix[index][index], one);
+        const additiveRelationship = matrix[index1][index2];
+        const diagonalProduct = toNumber(matrix[index1][index1]) * toNumber(matrix[index2][index2]);
+        return {
+            coancestry: half(additiveRelationship),
+            additiveRelationship,
+            relationshipCoefficient: toNumber(additiveRelationship) / Math.sqrt(diagonalProduct),
+            inbreeding1: inbreedingOf(index1),
+            inbreeding2: inbreedingOf(index2)
+        };
+    }
+
+    /**
+     * 为两个个体的亲缘关系命名，如“全同胞”“经父亲 HO840M3013654627 的半同胞”“一级表亲”。
+     * 先找出最近的共同祖先（不是其他共同祖先的祖先者，个体自身也算作共同祖先），再沿寻路路径求出两个个体到每个共同祖先的最少代数，
+     * 按 (代数一, 代数二) 分组：代数之一为 0 是直系，均为 1 是同胞，其一为 1 是叔侄类，均不小于 2 是表亲；
+     * 同胞与叔侄类按每组共同祖先的个数区分半（1 个）与全（2 个）；表亲按其中互不重叠的配偶对数区分
+     * 半（0 对）、全（1 对）与双重（2 对及以上），如共享四个祖父母的双重一级表亲为 2 对，共享三个时仍为 1 对。
+     * 最近的一组决定主要关系，其余各组列在 otherRelationships 中（如既是半同胞又是表亲）。
+     * 名称不区分性别与父系、母系，如“叔侄/舅甥”同时表示叔、伯、姑、舅、姨与侄、甥。
+     * @param {Animal} animal1 - 个体一。
+     * @param {Animal} animal2 - 个体二。
+     * @returns {object} { code, label, generations1, generations2, commonAncestorIds, degree?, removed?, elderId?, otherRelationships }：
+     *          code 见 RELATIONSHIP_CODES；generations1/generations2 为两个个体到这组共同祖先的代数；
+     *          degree 为表亲的级数（一级表亲为 1），removed 为两者相差的代数，elderId 为辈分较高的一方；
+     *          otherRelationships 为其余各组，格式相同（不含 otherRelationships）。
+     */
+    classifyRelationship(animal1, animal2) {
+        if (animal1 === animal2) {
+            return { code: 'SELF', label: '同一个体', generations1: 0, generations2: 0, commonAncestorIds: [animal1.getId()], otherRelationships: [] };
+        }
+        const commonAncestors = this._findCommonAncestors(animal1, animal2);
+        const distantAncestors = new Set();
+        for (const ancestor of commonAncestors) {
+            for (const distant of ancestor.getAncestors()) distantAncestors.add(distant);
+        }
+        let nearestAncestors = Array.from(commonAncestors).filter(ancestor => !distantAncestors.has(ancestor));
+        if (nearestAncestors.length === 0) nearestAncestors = Array.from(commonAncestors); // 共同祖先全部处于环路中
+        if (nearestAncestors.length === 0) {
+            return { code: 'UNRELATED', label: '无已知亲缘关系', generations1: null, generations2: null, commonAncestorIds: [], otherRelationships: [] };
+        }
+
+        const generationsTo = (animal, ancestor) => Math.min(...this._findPathsToAncestor(animal, ancestor).map(path => path.length - 1));
+        const groups = new Map();
+        for (const ancestor of nearestAncestors) {
+            const generations1 = generationsTo(animal1, ancestor);
+            const generations2 = generationsTo(animal2, ancestor);
+            const key = `${generations1},${generations2}`;
+            if (!groups.has(key)) groups.set(key, { generations1, generations2, ancestors: [] });
+            groups.get(key).ancestors.push(ancestor);
+        }
+        const relationships = Array.from(groups.values())
+            .sort((a, b) => (a.generations1 + a.generations2) - (b.generations1 + b.generations2)
+                || Math.abs(a.generations1 - a.generations2) - Math.abs(b.generations1 - b.generations2))
+            .map(group => this._describeRelationship(animal1, animal2, group));
+        return { ...relationships[0], otherRelationships: relationships.slice(1) };
+    }
+
+    /**
+     * @private
+     * 为一组距离相同的最近共同祖先命名，规则见 classifyRelationship。
+     */
+    _describeRelationship(animal1, animal2, { generations1, generations2, ancestors }) {
+        const commonAncestorIds = ancestors.map(ancestor => ancestor.getId());
+        const base = { generations1, generations2, commonAncestorIds };
+        const nearer = Math.min(generations1, generations2);
+        const removed = Math.abs(generations1 - generations2);
+        const elderId = generations1 < generations2 ? animal1.getId() : animal2.getId();
+        const via = `经 ${commonAncestorIds.join('、')}`;
+
+        if (nearer === 0) {
+            const names = { 1: ['PARENT_OFFSPRING', '亲子'], 2: ['GRANDPARENT_GRANDOFFSPRING', '祖孙'] };
+            const [code, name] = names[removed] || ['ANCESTOR_DESCENDANT', `直系祖先与后代，相隔 ${removed} 代`];
+            return { code, label: `${name}（${elderId} 为${removed === 1 ? '亲本' : '祖代'}）`, ...base, removed, elderId };
+        }
+        if (nearer === 1 && removed === 0) {
+            if (ancestors.length >= 2) return { code: 'FULL_SIBS', label: '全同胞', ...base };
+            const [ancestor] = ancestors;
+            const role = animal1.getParent2() === ancestor && animal2.getParent2() === ancestor ? '父亲'
+                : animal1.getParent1() === ancestor && animal2.getParent1() === ancestor ? '母亲' : '共同亲本';
+            return { code: 'HALF_SIBS', label: `经${role} ${ancestor.getId()} 的半同胞`, ...base };
+        }
+        if (nearer === 1) {
+            const half = ancestors.length < 2;
+            const name = removed === 1 ? '叔侄/舅甥' : removed === 2 ? '叔祖与侄孙' : `叔侄/舅甥，相差 ${removed} 代`;
+            return {
+                code: half ? 'HALF_AVUNCULAR' : 'AVUNCULAR',
+                label: `${half ? '半' : ''}${name}（${elderId} 为长辈${half ? `，${via}` : ''}）`,
+                ...base,
+                removed,
+                elderId
+            };
+        }
+        const degree = nearer - 1;
+        const pairCount = this._countAncestorPairs(animal1, animal2, ancestors);
+        const [code, prefix] = pairCount >= 2 ? ['DOUBLE_COUSINS', '双重'] : pairCount === 1 ? ['COUSINS', ''] : ['HALF_COUSINS', '半'];
+        const details = [removed > 0 ? `相差 ${removed} 代` : null, code === 'HALF_COUSINS' ? via : null].filter(Boolean);
+        const result = { code, label: `${prefix}${degree <= CHINESE_NUMERALS.length ? CHINESE_NUMERALS[degree - 1] : degree}级表亲${details.length > 0 ? `（${details.join('，')}）` : ''}`, ...base, degree, removed };
+        if (removed > 0) result.elderId = elderId;
+        return result;
+    }
+
+    /**
+     * @private
+     * 统计一组共同祖先中最多能选出几对互不重叠的配偶：两个祖先是两个个体之一或其某个祖先的双亲时构成一对。
+     * 同一组的共同祖先通常只有几个，直接穷举。
+     */
+    _countAncestorPairs(animal1, animal2, ancestors) {
+        const members = new Set(ancestors);
+        const pairs = new Map();
+        for (const animal of new Set([animal1, animal2, ...animal1.getAncestors(), ...animal2.getAncestors()])) {
+            const dam = animal.getParent1();
+            const sire = animal.getParent2();
+            if (members.has(dam) && members.has(sire)) pairs.set(`${dam.getId()}\0${sire.getId()}`, [dam, sire]);
+        }
+        const candidates = Array.from(pairs.values());
+        const maximum = (index, used) => {
+            if (index === candidates.length) return 0;
+            const skipped = maximum(index + 1, used);
+            const [dam, sire] = candidates[index];
+            if (used.has(dam) || used.has(sire)) return skipped;
+            return Math.max(skipped, 1 + maximum(index + 1, new Set([...used, dam, sire])));
+        };
+        return maximum(0, new Set());
+    }
+
+    /**
+     * 计算个体的祖先近交系数，用于追踪清除选择 (purging)：
+     * - Ballou (1997) 的 F_a：个体的某个等位基因在祖先中至少经历过一次同源纯合的概率，按解析式递归求得
+     *   F_a = [F_a(父) + (1 - F_a(父))·F(父) + F_a(母) + (1 - F_a(母))·F(母)] / 2，未知亲本一项按 0 计；
+     * - Kalinowski 等 (2000) 的分解 F = F_new + F_anc：个体同源纯合，且该等位基因此前在祖先中从未纯合过 (F_new)
+     *   或至少纯合过一次 (F_anc) 的概率。没有通用的解析式，以基因下落 (gene dropping) 模拟估计。
+     * @param {Animal} animal - 个体。
+     * @param {object} [options]
+     * @param {number} [options.replicates=10000] - 基因下落的重复次数，估计误差约为 √(F(1-F)/replicates)。
+     * @param {number} [options.seed=1] - 基因下落的随机数种子。
+     * @returns {{inbreeding: number|DyadicRational, ballou: number|DyadicRational, kalinowskiNew: number, kalinowskiAncestral: number}}
+     *          inbreeding 为按 method 计算的近交系数 F；exact 模式下 inbreeding 与 ballou 为 DyadicRational，
+     *          Kalinowski 的两项为模拟估计，始终为浮点数，两者之和是 F 的模拟估计，与 inbreeding 相差模拟误差。
+     */
+    calculateAncestralInbreeding(animal, options = {}) {
+        return this._calculateAncestralInbreeding(animal.getParent1(), animal.getParent2(), options, () => this.calculateInbreeding(animal));
+    }
+
+    /**
+     * 计算两个亲本假想后代的祖先近交系数，含义与返回值同 calculateAncestralInbreeding。
+     * @param {Animal} parent1 - 亲本一。
+     * @param {Animal} parent2 - 亲本二。
+     * @param {object} [options] - 同 calculateAncestralInbreeding。
+     */
+    calculateOffspringAncestralInbreeding(parent1, parent2, options = {}) {
+        return this._calculateAncestralInbreeding(parent1, parent2, options, () => this.calculateOffspringInbreeding(parent1, parent2));
+    }
+
+    /**
+     * @private
+     * 由双亲求个体（或假想后代）的祖先近交系数。
+     */
+    _calculateAncestralInbreeding(parent1, parent2, options, computeInbreeding) {
+        const replicates = options.replicates === undefined ? DEFAULT_GENE_DROP_OPTIONS.replicates : options.replicates;
+        const seed = options.seed === undefined ? DEFAULT_GENE_DROP_OPTIONS.seed : options.seed;
+        if (!Number.isInteger(replicates) || replicates < 1) {
+            throw new Error(`基因下落的重复次数必须是正整数，而不是 '${options.replicates}'。`);
+        }
+        // 未启用 caching 时只在本次调用内复用各祖先的 F_a
+        const memo = this.caching ? this.ancestralInbreedingCache : new Map();
+        const { kalinowskiNew, kalinowskiAncestral } = this._dropGenes(parent1, parent2, replicates, seed);
+        return {
+            inbreeding: computeInbreeding(),
+            ballou: this._combineBallouTerms(parent1, parent2, memo, new Set()),
+            kalinowskiNew,
+            kalinowskiAncestral
+        };
+    }
+
+    /**
+     * @private
+     * 按 Ballou 的解析式递归计算个体的 F_a。遇到正在计算中的个体（环路）时按 0 处理。
+     */
+    _calculateBallou(animal, memo, visiting) {
+        const id = animal.getId();
+        if (memo.has(id)) return memo.get(id);
+        if (visiting.has(id)) return this.arithmetic.zero;
+        visiting.add(id);
+        const ancestralInbreeding = this._combineBallouTerms(animal.getParent1(), animal.getParent2(), memo, visiting);
+        visiting.delete(id);
+        memo.set(id, ancestralInbreeding);
+        return ancestralInbreeding;
+    }
+
+    /**
+     * @private
+     * Ballou 解析式：[F_a(父) + (1 - F_a(父))·F(父) + F_a(母) + (1 - F_a(母))·F(母)] / 2。
+     */
+    _combineBallouTerms(parent1, parent2, memo, visiting) {
+        const { zero, one, add, subtract, multiply, half } = this.arithmetic;
+        const term = (parent) => {
+            if (!parent) return zero;
+            const parentAncestral = this._calculateBallou(parent, memo, visiting);
+            return add(parentAncestral, multiply(subtract(one, parentAncestral), this.calculateInbreeding(parent)));
+        };
+        return half(add(term(parent1), term(parent2)));
+    }
+
+    /**
+     * @private
+     * 基因下落模拟：每次重复为每个奠基者（及每个未知亲本位置）赋予独有的等位基因，按拓扑顺序随机向下传递，
+     * 并标记每份拷贝是否曾在某个祖先中处于同源纯合状态；最后由两个亲本各传一份给个体（或假想后代），
+     * 两份同源时按是否有拷贝带有标记分别计入 F_anc 或 F_new。环路处按未知亲本处理。
+     * @returns {{kalinowskiNew: number, kalinowskiAncestral: number}}
+     */
+    _dropGenes(parent1, parent2, replicates, seed) {
+        if (!parent1 || !parent2) return { kalinowskiNew: 0, kalinowskiAncestral: 0 };
+        const order = this._sortAncestorsTopologically([parent1, parent2]);
+        const indexOf = new Map(order.map((animal, index) => [animal, index]));
+        // 拓扑顺序中不在自身之前的亲本说明存在环路
+        const parentIndex = (parent, index) => parent && indexOf.get(parent) < index ? indexOf.get(parent) : -1;
+        const parentsOf = order.map((animal, index) => [parentIndex(animal.getParent1(), index), parentIndex(animal.getParent2(), index)]);
+        const labels = new Int32Array(order.length * 2);
+        const flags = new Uint8Array(order.length * 2);
+        const random = createRandom(seed);
+        // 从亲本的两份拷贝中随机取一份，写入 label/flag；亲本自身同源纯合时，传出的拷贝带有标记
+        let label = 0;
+        let flag = 0;
+        const transmit = (parent) => {
+            const copy = parent * 2 + (random() < 0.5 ? 0 : 1);
+            label = labels[copy];
+            flag = flags[copy] | (labels[parent * 2] === labels[parent * 2 + 1] ? 1 : 0);
+        };
+
+        let newCount = 0;
+        let ancestralCount = 0;
+        for (let replicate = 0; replicate < replicates; replicate++) {
+            let nextLabel = 0;
+            for (let index = 0; index < order.length; index++) {
+                for (let side = 0; side < 2; side++) {
+                    const slot = index * 2 + side;
+                    const parent = parentsOf[index][side];
+                    if (parent < 0) {
+                        labels[slot] = nextLabel++;
+                        flags[slot] = 0;
+                    } else {
+                        transmit(parent);
+                        labels[slot] = label;
+                        flags[slot] = flag;
+                    }
+                }
+            }
+            transmit(indexOf.get(parent1));
+            const label1 = label;
+            const flag1 = flag;
+            transmit(indexOf.get(parent2));
+            if (label1 === label) {
+                if (flag1 || flag) ancestralCount++;
+                else newCount++;
+            }
+        }
+        return { kalinowskiNew: newCount / replicates, kalinowskiAncestral: ancestralCount / replicates };
+    }
+
+    /**
+     * 按共同祖先分解两个亲本假想后代的近交系数，用于说明近交来源。
+     * 分解始终基于路径枚举（'classic' 方法下只列出独立路径对），'tabular' 方法下同样按 'path' 的规则枚举。
+     * @param {Animal} parent1 - 亲本一。
+     * @param {Animal} parent2 - 亲本二。
+     * @returns {object[]} 每个共同祖先一项，格式为
+     *          { ancestorId, fAncestor, contribution, pathPairs: [{ path1: string[], path2: string[], contribution }] }，
+     *          其中 path1/path2 为从亲本一/亲本二到该祖先的 ID 序列。exact 模式下 fAncestor 与 contribution 为 DyadicRational。
+     */
+    explainOffspringInbreeding(parent1, parent2) {
+        if (!parent1 || !parent2) return [];
+        const breakdown = new Map();
+        this._forEachPathPair(parent1, parent2, this._findCommonAncestors(parent1, parent2), (ancestor, fAncestor, path1, path2, contribution) => {
+            if (!breakdown.has(ancestor)) {
+                breakdown.set(ancestor, { ancestorId: ancestor.getId(), fAncestor, contribution: this.arithmetic.zero, pathPairs: [] });
+            }
+            const entry = breakdown.get(ancestor);
+            entry.contribution = this.arithmetic.add(entry.contribution, contribution);
+            entry.pathPairs.push({
+                path1: path1.map(animal => animal.getId()),
+                path2: path2.map(animal => animal.getId()),
+                contribution
+            });
+        });
+        return Array.from(breakdown.values());
+    }
+
+    /**
+     * @private
+     * 枚举两个亲本到每个共同祖先的所有路径对，并按 Wright 公式 (0.5)^(n1+n2+1) * (1+F_A) 计算每对路径的贡献。
+     * @param {Animal} parent1 - 亲本一。
+     * @param {Animal} parent2 - 亲本二。
+     * @param {Set<Animal>} commonAncestors - 两个亲本的共同祖先。
+     * @param {function(Animal, number|DyadicRational, Animal[], Animal[], number|DyadicRational): void} callback - 对每个路径对调用一次，
+     *        参数依次为共同祖先、祖先自身的近交系数、亲本一的路径、亲本二的路径、该路径对的贡献。
+     */
+    _forEachPathPair(parent1, parent2, commonAncestors, callback) {
+        for (const ancestor of commonAncestors) {
+            const fAncestor = this.calculateInbreeding(ancestor);
+            const paths1 = this._findPathsToAncestor(parent1, ancestor);
+            const paths2 = this._findPathsToAncestor(parent2, ancestor);
+
+            for (const path1 of paths1) {
+                for (const path2 of paths2) {
+                    if (this.method === 'classic' && !this._arePathsIndependent(path1, path2)) continue;
+                    const n1 = path1.length - 1;
+                    const n2 = path2.length - 1;
+                    const exponent = n1 + n2 + 1;
+                    const contribution = this.arithmetic.half(this.arithmetic.add(this.arithmetic.one, fAncestor), exponent);
+                    callback(ancestor, fAncestor, path1, path2, contribution);
+                }
+            }
+        }
+    }
+
+    /**
+     * @private
+     * 找出两个个体的所有共同祖先（个体自身也视为其祖先集合的一员）。
+     * @param {Animal} parent1 - 个体一。
+     * @param {Animal} parent2 - 个体二。
+     * @returns {Set<Animal>} 共同祖先集合，按个体一的祖先广度优先顺序排列。
+     */
+    _findCommonAncestors(parent1, parent2) {
+        const ancestors1 = parent1.getAncestors(); ancestors1.add(parent1);
+        const ancestors2 = parent2.getAncestors(); ancestors2.add(parent2);
+
+        const commonAncestors = new Set();
+        for (const ancestor of ancestors1) { if (ancestors2.has(ancestor)) { commonAncestors.add(ancestor); } }
+        return commonAncestors;
+    }
+
+    /**
+     * @private
+     * 检查两条到共同祖先的路径是否独立（除了终点外没有共同节点）。
+     * 这是经典 Wright 路径系数法的规则，用于 'classic' 方法。
+     * @param {Animal[]} path1 - 第一条路径。
+     * @param {Animal[]} path2 - 第二条路径。
+     * @returns {boolean} 如果路径独立则返回 true。
+     */
+    _arePathsIndependent(path1, path2) {
+        const midNodes1 = path1.slice(1, -1);
+        if (midNodes1.length === 0) return true;
+
+        const midNodesSet1 = new Set(midNodes1.map(a => a.getId()));
+        const midNodes2 = path2.slice(1, -1);
+
+        for (const node of midNodes2) {
+            if (midNodesSet1.has(node.getId())) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @private
+     * 表格法：后代近交系数等于双亲加性亲缘关系的一半，即 F = a(p1, p2) / 2。
+     */
+    _calculateOffspringInbreedingTabular(parent1, parent2) {
+        const order = this._sortAncestorsTopologically([parent1, parent2]);
+        const matrix = this._buildRelationshipMatrix(order);
+        const index1 = order.indexOf(parent1);
+        const index2 = order.indexOf(parent2);
+        return this.arithmetic.half(matrix[index1][index2]);
+    }
+
+    /**
+     * @private
+     * 对给定个体及其全部祖先做拓扑排序，保证任何个体都排在其后代之前。
+     * 谱系中若存在环路，回到正在访问中的个体的边会被忽略，与路径法遇环按 0 处理的规则保持一致。
+     * @param {Animal[]} animals - 排序的起点个体。
+     * @returns {Animal[]} 祖先在前、后代在后的个体数组。
+     */
+    _sortAncestorsTopologically(animals) {
+        const order = [];
+        const visited = new Set();
+        const visiting = new Set();
+        const visit = (animal) => {
+            if (!animal || visited.has(animal) || visiting.has(animal)) return;
+            visiting.add(animal);
+            visit(animal.getParent2());
+            visit(animal.getParent1());
+            visiting.delete(animal);
+            visited.add(animal);
+            order.push(animal);
+        };
+        for (const animal of animals) visit(animal);
+        return order;
+    }
+
+    /**
+     * @private
+     * 按 Henderson 表格法构建加性亲缘关系矩阵 A：
+     * a(i, i) = 1 + a(s, d) / 2；a(j, i) = [a(j, s) + a(j, d)] / 2 (j 排在 i 之前)，未知亲本按 0 计。
+     * @param {Animal[]} order - 已拓扑排序的个体数组。
+     * @returns {Float64Array[]|DyadicRational[][]} 与 order 下标对应的对称矩阵。
+     */
+    _buildRelationshipMatrix(order) {
+        const { zero, one, add, half, createRow } = this.arithmetic;
+        const size = order.length;
+        const indexOf = new Map(order.map((animal, index) => [animal, index]));
+        const matrix = order.map(() => createRow(size));
+
+        for (let i = 0; i < size; i++) {
+            const animal = order[i];
+            // 环路中被忽略的亲本排在当前个体之后，按未知亲本处理
+            const parentIndex = (parent) => {
+                const index = parent ? indexOf.get(parent) : undefined;
+                return index !== undefined && index < i ? index : -1;
+            };
+            const dam = parentIndex(animal.getParent1());
+            const sire = parentIndex(animal.getParent2());
+
+            for (let j = 0; j < i; j++) {
+                const fromSire = sire >= 0 ? matrix[j][sire] : zero;
+                const fromDam = dam >= 0 ? matrix[j][dam] : zero;
+                matrix[j][i] = matrix[i][j] = half(add(fromSire, fromDam));
+            }
+            matrix[i][i] = add(one, sire >= 0 && dam >= 0 ? half(matrix[sire][dam]) : zero);
+        }
+        return matrix;
+    }
+
+    /**
+     * 使用 Meuwissen–Luo (1992) 算法一次性计算一组个体及其全部祖先的近交系数。
+     * 个体按拓扑顺序处理，每个个体只沿其祖先追溯一次 L 矩阵 (A = LDL') 的对应行，
+     * 不递归调用 calculateInbreeding，适用于数万头规模的整群计算。
+     * @param {Iterable<Animal>} animals - 需要计算的个体。
+     * @returns {Map<string, number>} 个体 ID 到其近交系数的映射（包含所有被追溯到的祖先）。
+     */
+    calculateHerdInbreeding(animals) {
+        const { order, inbreeding } = this._decomposeRelationshipMatrix(animals);
+        const result = new Map();
+        order.forEach((animal, index) => result.set(animal.getId(), inbreeding[index]));
+        return result;
+    }
+
+    /**
+     * 计算两组个体两两之间的共祖系数 (coancestry) f(x, y) = a(x, y) / 2，即二者配对后代的近交系数。
+     * 谱系的拓扑排序与 A = TDT' 分解只做一次，之后每一列只需沿谱系各扫描一遍 (Colleau, 2002)，
+     * 因此所有配对共享同一份祖先计算结果。
+     * @param {Animal[]} rowAnimals - 矩阵的行个体（如母牛）。
+     * @param {Animal[]} columnAnimals - 矩阵的列个体（如公牛）。
+     * @returns {Float64Array[]} rowAnimals.length 行、columnAnimals.length 列的共祖系数矩阵。
+     */
+    calculateCoancestryMatrix(rowAnimals, columnAnimals) {
+        const { order, indexOf, sires, dams, mendelianVariance } = this._decomposeRelationshipMatrix([...rowAnimals, ...columnAnimals]);
+        const size = order.length;
+        const matrix = rowAnimals.map(() => new Float64Array(columnAnimals.length));
+        const column = new Float64Array(size);
+
+        columnAnimals.forEach((columnAnimal, columnIndex) => {
+            // 求 A 的第 j 列：先由后代向祖先解 T'y = e_j，再乘以 D，最后由祖先向后代解 Tw = Dy
+            column.fill(0.0);
+            column[indexOf.get(columnAnimal)] = 1.0;
+            for (let i = size - 1; i >= 0; i--) {
+                if (column[i] === 0.0) continue;
+                if (sires[i] >= 0) column[sires[i]] += 0.5 * column[i];
+                if (dams[i] >= 0) column[dams[i]] += 0.5 * column[i];
+            }
+            for (let i = 0; i < size; i++) {
+                column[i] *= mendelianVariance[i];
+                if (sires[i] >= 0) column[i] += 0.5 * column[sires[i]];
+                if (dams[i] >= 0) column[i] += 0.5 * column[dams[i]];
+            }
+            rowAnimals.forEach((rowAnimal, rowIndex) => {
+                matrix[rowIndex][columnIndex] = 0.5 * column[indexOf.get(rowAnimal)];
+            });
+        });
+        return matrix;
+    }
+
+    /**
+     * @private
+     * 对给定个体及其全部祖先做拓扑排序，并按 Meuwissen–Luo 算法求出 A = LDL' 分解所需的全部数据。
+     * @param {Iterable<Animal>} animals - 需要计算的个体。
+     * @returns {{order: Animal[], indexOf: Map<Animal, number>, sires: Int32Array, dams: Int32Array,
+     *            inbreeding: Float64Array, mendelianVariance: Float64Array}}
+     *          sires/dams 为亲本在 order 中的下标（未知为 -1），mendelianVariance 为 D 矩阵对角元素。
+     */
+    _decomposeRelationshipMatrix(animals) {
+        const order = this._sortAncestorsTopologically(animals);
+        const size = order.length;
+        const indexOf = new Map(order.map((animal, index) => [animal, index]));
+        const sires = new Int32Array(size).fill(-1);
+        const dams = new Int32Array(size).fill(-1);
+        const inbreeding = new Float64Array(size);
+        const mendelianVariance = new Float64Array(size);
+        const rowValues = new Float64Array(size); // 当前个体在 L 矩阵中的行
+
+        for (let i = 0; i < size; i++) {
+            const animal = order[i];
+            // 环路中被忽略的亲本排在当前个体之后，按未知亲本处理
+            const parentIndex = (parent) => {
+                const index = parent ? indexOf.get(parent) : undefined;
+                return index !== undefined && index < i ? index : -1;
+            };
+            const sire = sires[i] = parentIndex(animal.getParent2());
+            const dam = dams[i] = parentIndex(animal.getParent1());
+
+            if (sire >= 0 && dam >= 0) {
+                mendelianVariance[i] = 0.5 - 0.25 * (inbreeding[sire] + inbreeding[dam]);
+            } else if (sire >= 0 || dam >= 0) {
+                mendelianVariance[i] = 0.75 - 0.25 * inbreeding[sire >= 0 ? sire : dam];
+            } else {
+                mendelianVariance[i] = 1.0;
+            }
+            if (sire < 0 || dam < 0) continue;
+
+            // 与上一个个体是全同胞时直接复用其结果
+            if (i > 0 && sires[i - 1] === sire && dams[i - 1] === dam) {
+                inbreeding[i] = inbreeding[i - 1];
+                continue;
+            }
+
+            // 从当前个体出发，按下标从大到小（即由后代到祖先）累加 L(i, j)^2 * D(j)
+            const heap = [i];
+            rowValues[i] = 1.0;
+            let diagonal = 0.0;
+            while (heap.length > 0) {
+                const j = heapPop(heap);
+                const value = rowValues[j];
+                rowValues[j] = 0.0;
+                diagonal += value * value * mendelianVariance[j];
+                for (const parent of [sires[j], dams[j]]) {
+                    if (parent < 0) continue;
+                    if (rowValues[parent] === 0.0) heapPush(heap, parent);
+                    rowValues[parent] += 0.5 * value;
+                }
+            }
+            inbreeding[i] = diagonal - 1.0;
+        }
+
+        return { order, indexOf, sires, dams, inbreeding, mendelianVariance };
+    }
+
+    _findPathsToAncestor(start, target) {
+        if (!start || !target) return [];
+        if (!this.caching) return this._findPathsToAncestorDFS(start, target);
+        const pathKey = `${start.getId()}->${target.getId()}`;
+        if (this.pathCache.has(pathKey)) return this.pathCache.get(pathKey);
+        const paths = this._findPathsToAncestorDFS(start, target);
+        this.pathCache.set(pathKey, paths);
+        this._indexCacheKey(this.pathKeysByAnimal, start.getId(), pathKey);
+        return paths;
+    }
+
+    /**
+     * 清除谱系变化后失效的缓存项：这些个体自身的近交系数、涉及它们的配对后代近交系数、以它们为起点的寻路路径，
+     * 以及它们的祖先子图哈希（store 中的旧缓存项以旧哈希为键，不会再被读到）。
+     * 个体的近交系数与血缘路径只取决于其祖先，因此传入发生变化的个体及其全部后代即可，其余缓存项保持有效。
+     * @param {Iterable<Animal|string>} animals - 受影响的个体或其ID，通常为 BreedingPlanner 变更通知中的个体。
+     */
+    invalidate(animals) {
+        for (const animal of animals) {
+            const id = typeof animal === 'object' && animal !== null ? animal.getId() : String(animal);
+            this.inbreedingCache.delete(id);
+            this.ancestralInbreedingCache.delete(id);
+            for (const key of this.offspringKeysByAnimal.get(id) || []) this.offspringInbreedingCache.delete(key);
+            for (const key of this.pathKeysByAnimal.get(id) || []) this.pathCache.delete(key);
+            this.offspringKeysByAnimal.delete(id);
+            this.pathKeysByAnimal.delete(id);
+            this.ancestryHashes.delete(id);
+        }
+    }
+
+    /**
+     * 订阅 BreedingPlanner 的谱系变更，每次变更后自动调用 invalidate。
+     * @param {BreedingPlanner} planner - 谱系数据来源。
+     * @returns {function(): void} 取消订阅的函数。
+     */
+    watch(planner) {
+        return planner.onChange(affectedAnimals => this.invalidate(affectedAnimals));
+    }
+
+    /**
+     * 计算个体祖先子图的内容哈希：由个体ID与其母亲、父亲的哈希递归求得，未知亲本记为空串。
+     * 两个个体的哈希相同，当且仅当它们的ID与全部祖先的父母关系相同，因此可作为跨进程缓存的键。
+     * @param {Animal} animal - 个体。
+     * @returns {string|null} Base64 形式的哈希；祖先中存在环路时为 null。
+     */
+    getAncestryHash(animal) {
+        const visiting = new Set();
+        const hashOf = (current) => {
+            if (!current) return '';
+            const id = current.getId();
+            if (this.ancestryHashes.has(id)) return this.ancestryHashes.get(id);
+            if (visiting.has(id)) return null;
+            visiting.add(id);
+            const damHash = hashOf(current.getParent1());
+            const sireHash = hashOf(current.getParent2());
+            visiting.delete(id);
+            const hash = damHash === null || sireHash === null
+                ? null
+                : crypto.createHash('sha256').update(`${id}\0${damHash}\0${sireHash}`).digest('base64').slice(0, 22);
+            this.ancestryHashes.set(id, hash);
+            return hash;
+        };
+        return hashOf(animal);
+    }
+
+    /**
+     * @private
+     * 生成 store 中的缓存键，包含计算方法与数值类型；未配置 store 或祖先中存在环路时返回 null。
+     * 配对的两个哈希按字典序排列，使键与亲本顺序无关。
+     */
+    _storeKey(kind, animals) {
+        if (!this.store) return null;
+        const hashes = animals.map(animal => this.getAncestryHash(animal));
+        if (hashes.includes(null)) return null;
+        hashes.sort();
+        return `${this.method}:${this.exact ? 'exact' : 'float'}:${kind}:${hashes.join(':')}`;
+    }
+
+    /**
+     * @private
+     * 启用 caching 时将配对结果写入内存缓存，并登记到两个亲本名下。
+     */
+    _rememberOffspringInbreeding(cacheKey, p1, p2, value) {
+        if (!cacheKey) return;
+        this.offspringInbreedingCache.set(cacheKey, value);
+        this._indexCacheKey(this.offspringKeysByAnimal, p1.getId(), cacheKey);
+        this._indexCacheKey(this.offspringKeysByAnimal, p2.getId(), cacheKey);
+    }
+
+    /**
+     * @private
+     * 将缓存键登记到个体名下，供 invalidate 按个体清除。
+     */
+    _indexCacheKey(index, id, key) {
+        if (!index.has(id)) index.set(id, new Set());
+        index.get(id).add(key);
+    }
+
+    _findPathsToAncestorDFS(start, target) {
+        const paths = []; if (start.equals(target)) { paths.push([start]); return paths; }
+        const stack = [new PathNode(start, [start])];
+        while (stack.length > 0) {
+            const { animal: currentAnimal, path: currentPathToAnimal } = stack.pop();
+            const parent1 = currentAnimal.getParent1(); if (parent1) this._processParentForDFS(parent1, target, currentPathToAnimal, paths, stack);
+            const parent2 = currentAnimal.getParent2(); if (parent2) this._processParentForDFS(parent2, target, currentPathToAnimal, paths, stack);
+        }
+        return paths;
+    }
+
+    _processParentForDFS(parent, target, currentPath, allPaths, stack) {
+        if (parent.equals(target)) { allPaths.push([...currentPath, parent]); }
+        else if (!currentPath.some(animalInPath => animalInPath.equals(parent))) { stack.push(new PathNode(parent, [...currentPath, parent])); }
+    }
+}
+
+/**
+ * 创建以给定种子初始化的伪随机数生成器 (mulberry32)，供基因下落模拟使用。
+ * @param {number} seed - 32 位整数种子。
+ * @returns {function(): number} 每次调用返回 [0, 1) 之间的随机数。
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 向最大堆中插入一个下标。
+ * @param {number[]} heap - 以数组存储的最大堆。
+ * @param {number} value - 待插入的下标。
+ */
+function heapPush(heap, value) {
+    heap.push(value);
+    let child = heap.length - 1;
+    while (child > 0) {
+        const parent = (child - 1) >> 1;
+        if (heap[parent] >= heap[child]) break;
+        [heap[parent], heap[child]] = [heap[child], heap[parent]];
+        child = parent;
+    }
+}
+
+/**
+ * 弹出最大堆的堆顶（最大下标）。
+ * @param {number[]} heap - 非空的最大堆。
+ * @returns {number} 堆中最大的下标。
+ */
+function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let parent = 0;
+        while (true) {
+            const left = 2 * parent + 1;
+            const right = left + 1;
+            let largest = parent;
+            if (left < heap.length && heap[left] > heap[largest]) largest = left;
+            if (right < heap.length && heap[right] > heap[largest]) largest = right;
+            if (largest === parent) break;
+            [heap[parent], heap[largest]] = [heap[largest], heap[parent]];
+            parent = largest;
+        }
+    }
+    return top;
+}
+
+module.exports = {
+    RelatednessCalculator,
+    CALCULATION_METHODS,
+    RELATIONSHIP_CODES,
+    defaultLogger
+};
@@ -0,0 +1,284 @@
+/**
+ * @file 近交系数计算 HTTP 服务
+ * @description 基于 Node 内置 http 模块的可选服务，供场内管理系统等通过 HTTP 调用计算器，而不必嵌入本仓库的源文件。
+ *              所有响应均为 JSON；出错时返回 { error: { code, message, details } }，不再输出到控制台并返回空数组。
+ * @example
+ * // 命令行启动（默认端口 3000，可用 PORT 环境变量或 --port 指定）
+ * // node server.js --port 8080
+ *
+ * // 或在程序中使用
+ * const { createServer } = require('./server.js');
+ * createServer({ calculatorConfig: { method: 'tabular' } }).listen(8080);
+ */
+
+const http = require('http');
+const {
+    createCalculator,
+    findInvalidRecords,
+    parseFormat,
+    InbreedingError,
+    PedigreeCycleError,
+    PedigreeConflictError,
+    PRESETS,
+    CALCULATION_METHODS
+} = require('./index.js');
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+/**
+ * @class HttpError
+ * @description 携带 HTTP 状态码与错误代码的请求错误，由服务统一转换为 JSON 错误响应。
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP 状态码。
+     * @param {string} code - 机器可读的错误代码，如 'INVALID_INPUT'。
+     * @param {string} message - 错误说明。
+     * @param {*} [details] - 附加信息，如无效记录列表、环路或冲突详情。
+     */
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * 读取并解析 JSON 请求体。
+ * @param {http.IncomingMessage} request
+ * @param {number} maxBodyBytes - 请求体大小上限。
+ * @param {function(HttpError|null, object=)} callback
+ */
+function readJsonBody(request, maxBodyBytes, callback) {
+    const chunks = [];
+    let size = 0;
+    let finished = false;
+    const finish = (error, body) => {
+        if (finished) return;
+        finished = true;
+        callback(error, body);
+    };
+
+    request.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBodyBytes) {
+            finish(new HttpError(413, 'PAYLOAD_TOO_LARGE', `请求体超过 ${maxBodyBytes} 字节的上限。`));
+            request.resume();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    request.on('error', (error) => finish(new HttpError(400, 'BAD_REQUEST', `读取请求体失败: ${error.message}`)));
+    request.on('end', () => {
+        if (finished) return;
+        const text = Buffer.concat(chunks).toString('utf8');
+        let body;
+        try {
+            body = text.trim() === '' ? {} : JSON.parse(text);
+        } catch (error) {
+            finish(new HttpError(400, 'INVALID_JSON', `请求体不是有效的 JSON: ${error.message}`));
+            return;
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            finish(new HttpError(400, 'INVALID_INPUT', '请求体必须是 JSON 对象。'));
+            return;
+        }
+        finish(null, body);
+    });
+}
+
+/**
+ * 校验记录数组，存在无效记录时抛出 INVALID_INPUT 错误。
+ * @param {Array<[*, string]>} inputs - [记录数组, 字段名] 列表。
+ */
+function assertValidRecords(inputs) {
+    const errors = inputs.flatMap(([records, field]) => findInvalidRecords(records, `${field} `));
+    if (errors.length > 0) {
+        throw new HttpError(400, 'INVALID_INPUT', '请求中的谱系记录无效。', errors);
+    }
+}
+
+/**
+ * 校验请求中的计算方法。
+ * @param {*} method - 请求体中的 method 字段。
+ */
+function assertValidMethod(method) {
+    if (method !== undefined && !CALCULATION_METHODS.includes(method)) {
+        throw new HttpError(400, 'INVALID_INPUT', `不支持的计算方法: '${method}'。可选值: ${CALCULATION_METHODS.join(', ')}。`);
+    }
+}
+
+/**
+ * 校验请求中的数值格式。
+ * @param {*} format - 请求体中的 format 字段。
+ */
+function assertValidFormat(format) {
+    if (format === undefined) return;
+    try {
+        parseFormat(format);
+    } catch (error) {
+        throw new HttpError(400, 'INVALID_INPUT', error.message);
+    }
+}
+
+/**
+ * 各路由的处理函数。每个函数接收请求体与本次请求的计算器，返回响应对象。
+ */
+const ROUTES = {
+    /**
+     * 母牛与公牛配对。请求体: { cow: object, bulls: object[], method?, explain?, completeness?, exact?, format? } 或以 cows 数组代替 cow。
+     * 响应: { results: object[], warnings: object[], errors: object[] }，results 格式同 calculateBreedingInbreeding，
+     * warnings 为 { code, message, ... } 对象（见 WARNING_CODES），errors 为使某头母牛的计算中止的错误，格式同错误响应的 error。
+     */
+    'POST /inbreeding/pairs': (body, calculator) => {
+        const cows = body.cows !== undefined ? body.cows : (body.cow !== undefined ? [body.cow] : undefined);
+        if (cows === undefined) throw new HttpError(400, 'INVALID_INPUT', '请求体需要包含 cow 或 cows 字段。');
+        assertValidRecords([[cows, body.cows !== undefined ? 'cows' : 'cow'], [body.bulls, 'bulls']]);
+        assertValidMethod(body.method);
+        assertValidFormat(body.format);
+        const options = { method: body.method, explain: Boolean(body.explain), completeness: Boolean(body.completeness), format: body.format, report: true };
+        if (body.exact !== undefined) options.exact = Boolean(body.exact);
+        const report = calculator.calculateForMultipleCows(cows, body.bulls, options);
+        return { results: report.results, errors: report.errors.map(error => toErrorPayload(toHttpError(error))) };
+    },
+
+    /**
+     * 共祖系数矩阵。请求体: { cows: object[], bulls: object[], method?, format? }。
+     * 响应: { cowIds: string[], bullIds: string[], values: number[][], warnings: object[] }。
+     */
+    'POST /inbreeding/matrix': (body, calculator) => {
+        assertValidRecords([[body.cows, 'cows'], [body.bulls, 'bulls']]);
+        assertValidMethod(body.method);
+        assertValidFormat(body.format);
+        const matrix = calculator.calculateKinshipMatrix(body.cows, body.bulls, { method: body.method, format: body.format });
+        return { cowIds: matrix.cowIds, bullIds: matrix.bullIds, values: matrix.values };
+    },
+
+    /**
+     * 谱系检查。请求体: { records: object[] }。
+     * 响应: validatePedigree 的结果，另含 valid 与 warnings 字段。
+     */
+    'POST /pedigree/validate': (body, calculator) => {
+        if (!Array.isArray(body.records)) throw new HttpError(400, 'INVALID_INPUT', '请求体需要包含 records 数组。');
+        const report = calculator.validatePedigree(body.records);
+        const valid = report.cycles.length === 0 && report.parentConflicts.length === 0 && report.sexConflicts.length === 0;
+        return { valid, ...report };
+    }
+};
+
+/**
+ * 将计算过程中抛出的错误转换为 HttpError。
+ * @param {Error} error
+ * @returns {HttpError}
+ */
+function toHttpError(error) {
+    if (error instanceof HttpError) return error;
+    if (error instanceof PedigreeCycleError) {
+        return new HttpError(422, 'PEDIGREE_CYCLE', error.message, { cycles: error.cycles });
+    }
+    if (error instanceof PedigreeConflictError) {
+        return new HttpError(422, 'PEDIGREE_CONFLICT', error.message, { conflicts: error.conflicts });
+    }
+    if (error instanceof InbreedingError) {
+        return new HttpError(400, error.code, error.message);
+    }
+    return new HttpError(500, 'INTERNAL_ERROR', '服务器内部错误。');
+}
+
+/**
+ * 将 HttpError 转换为响应中的错误对象 { code, message, details? }。
+ * @param {HttpError} httpError
+ * @returns {object}
+ */
+function toErrorPayload(httpError) {
+    const payload = { code: httpError.code, message: httpError.message };
+    if (httpError.details !== undefined) payload.details = httpError.details;
+    return payload;
+}
+
+/**
+ * 发送 JSON 响应。
+ * @param {http.ServerResponse} response
+ * @param {number} status
+ * @param {object} payload
+ * @param {object} [headers] - 额外的响应头。
+ */
+function sendJson(response, status, payload, headers = {}) {
+    const body = JSON.stringify(payload);
+    response.writeHead(status, {
+        ...headers,
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body)
+    });
+    response.end(body);
+}
+
+/**
+ * 创建近交系数计算 HTTP 服务（尚未监听端口）。
+ * @param {object} [options]
+ * @param {object} [options.calculatorConfig=PRESETS.isolated] - 传给 createCalculator 的配置（logger 除外）。
+ * @param {number} [options.maxBodyBytes=10485760] - 请求体大小上限（字节）。
+ * @param {object} [options.logger=console] - 记录内部错误的日志器，需提供 error 方法。
+ * @returns {http.Server} 未监听的 http.Server 实例。
+ */
+function createServer(options = {}) {
+    const calculatorConfig = { ...PRESETS.isolated, ...options.calculatorConfig };
+    const maxBodyBytes = options.maxBodyBytes || DEFAULT_MAX_BODY_BYTES;
+    const serverLogger = options.logger || console;
+    // 提前校验配置，避免每个请求都因同一配置错误而失败
+    createCalculator({ ...calculatorConfig, logger: undefined });
+
+    return http.createServer((request, response) => {
+        let pathname;
+        try {
+            pathname = new URL(request.url, 'http://localhost').pathname.replace(/\/+$/, '');
+        } catch (error) {
+            request.resume();
+            sendJson(response, 400, { error: { code: 'BAD_REQUEST', message: `无效的请求地址: '${request.url}'。` } });
+            return;
+        }
+        const routeKey = `${request.method} ${pathname}`;
+        const handler = ROUTES[routeKey];
+        if (!handler) {
+            const knownPath = Object.keys(ROUTES).some(key => key.endsWith(` ${pathname}`));
+            const error = knownPath
+                ? new HttpError(405, 'METHOD_NOT_ALLOWED', `${pathname} 只接受 POST 请求。`)
+                : new HttpError(404, 'NOT_FOUND', `未知的接口: ${request.method} ${pathname}`);
+            request.resume();
+            sendJson(response, error.status, { error: { code: error.code, message: error.message } }, knownPath ? { Allow: 'POST' } : {});
+            return;
+        }
+
+        readJsonBody(request, maxBodyBytes, (readError, body) => {
+            // 每个请求使用独立的计算器，并收集计算过程中的警告一并返回；错误由各路由自行返回（如配对路由的 errors），不混入警告
+            const warnings = [];
+            const logger = {
+                debug() {},
+                warn: (message, warning) => warnings.push(warning || { code: 'WARNING', message: String(message) }),
+                error() {}
+            };
+            try {
+                if (readError) throw readError;
+                const calculator = createCalculator({ ...calculatorConfig, logger });
+                sendJson(response, 200, { ...handler(body, calculator), warnings });
+            } catch (error) {
+                const httpError = toHttpError(error);
+                if (httpError.status === 500) serverLogger.error(error);
+                sendJson(response, httpError.status, { error: toErrorPayload(httpError), warnings });
+            }
+        });
+    });
+}
+
+if (require.main === module) {
+    const portArgIndex = process.argv.indexOf('--port');
+    const port = Number(portArgIndex >= 0 ? process.argv[portArgIndex + 1] : process.env.PORT) || DEFAULT_PORT;
+    createServer().listen(port, () => {
+        console.log(`近交系数计算服务已启动: http://localhost:${port}`);
+    });
+}
+
+module.exports = { createServer, HttpError };
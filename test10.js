@@ -0,0 +1,57 @@
+// test10.js 亲缘关系命名 (classifyRelationship / calculateRelationship) 的检查脚本，任一检查不通过时以非零退出码结束
+
+// 1. 引入模块
+const assert = require('assert');
+const { BreedingPlanner } = require('./pedigree.js');
+const { RelatednessCalculator } = require('./relatednessCalculator.js');
+const { createCalculator } = require('./index.js');
+
+// 2. 祖父母一代：GA×GB 生下全同胞 P1、P2，GC×GD 生下全同胞 Q1、Q2，GC×GE 生下 Q1 的半同胞 R
+const records = [
+    { sId: 'P1', fId: 'GA', mId: 'GB' }, { sId: 'P2', fId: 'GA', mId: 'GB' },
+    { sId: 'Q1', fId: 'GC', mId: 'GD' }, { sId: 'Q2', fId: 'GC', mId: 'GD' }, { sId: 'R', fId: 'GC', mId: 'GE' },
+    { sId: 'S1', fId: 'GA', mId: 'GF' },
+    // 双重一级表亲：X1、X2 的父亲是全同胞，母亲也是全同胞，共享四个祖父母（两对）
+    { sId: 'X1', fId: 'P1', mId: 'Q1' }, { sId: 'X2', fId: 'P2', mId: 'Q2' },
+    // 共享三个祖父母 GA、GB、GC：父亲是全同胞，母亲只是半同胞，只有 GA×GB 一对
+    { sId: 'Y1', fId: 'P1', mId: 'Q1' }, { sId: 'Y2', fId: 'P2', mId: 'R' },
+    // 一级表亲：只有父亲一侧是全同胞
+    { sId: 'Z1', fId: 'P1', mId: 'U1' }, { sId: 'Z2', fId: 'P2', mId: 'U2' },
+    // 半一级表亲：父亲是经 GA 的半同胞
+    { sId: 'H1', fId: 'P1', mId: 'U3' }, { sId: 'H2', fId: 'S1', mId: 'U4' }
+];
+const planner = new BreedingPlanner();
+planner.loadPedigreeFromJson(records);
+const calculator = new RelatednessCalculator();
+const classify = (id1, id2) => calculator.classifyRelationship(planner.getAnimal(id1), planner.getAnimal(id2));
+
+// 3. 表亲按共同祖先中互为配偶的对数区分半、全与双重
+const double = classify('X1', 'X2');
+assert.strictEqual(double.code, 'DOUBLE_COUSINS');
+assert.deepStrictEqual([...double.commonAncestorIds].sort(), ['GA', 'GB', 'GC', 'GD']);
+assert.strictEqual(double.label, '双重一级表亲');
+
+const threeAncestors = classify('Y1', 'Y2');
+assert.deepStrictEqual([...threeAncestors.commonAncestorIds].sort(), ['GA', 'GB', 'GC']);
+assert.strictEqual(threeAncestors.code, 'COUSINS', '共享三个祖父母时只有一对配偶，不是双重表亲');
+assert.strictEqual(threeAncestors.label, '一级表亲');
+
+assert.strictEqual(classify('Z1', 'Z2').code, 'COUSINS');
+const halfCousins = classify('H1', 'H2');
+assert.strictEqual(halfCousins.code, 'HALF_COUSINS');
+assert.strictEqual(halfCousins.label, '半一级表亲（经 GA）');
+for (const [id1, id2] of [['X1', 'X2'], ['Y1', 'Y2'], ['Z1', 'Z2'], ['H1', 'H2']]) {
+    console.log(`${id1} 与 ${id2}: ${classify(id1, id2).label}`);
+}
+
+// 4. 同胞与半同胞
+assert.strictEqual(classify('P1', 'P2').code, 'FULL_SIBS');
+assert.strictEqual(classify('Q1', 'R').label, '经父亲 GC 的半同胞');
+
+// 5. 入口函数 calculateRelationship 返回同样的名称，共祖系数与双重一级表亲的理论值 1/8 一致
+const relationship = createCalculator({ format: 'raw' }).calculateRelationship(records, 'X1', 'X2');
+assert.strictEqual(relationship.relationship.code, 'DOUBLE_COUSINS');
+assert.strictEqual(relationship.coancestry, 0.125);
+console.log('X1 与 X2 的共祖系数:', relationship.coancestry);
+
+console.log('--- 亲缘关系命名检查全部通过 ---');
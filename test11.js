@@ -0,0 +1,43 @@
+// test11.js 命令行读取谱系文件的检查脚本：同一谱系写成 JSON 与宽表 CSV 时结果一致，任一检查不通过时以非零退出码结束
+
+// 1. 引入模块
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, EXIT_CODES } = require('./cli.js');
+
+// 运行命令行工具，返回退出码与解析后的 JSON 输出
+async function run(argv) {
+    let stdout = '';
+    let stderr = '';
+    const io = { stdout: { write: (text) => { stdout += text; } }, stderr: { write: (text) => { stderr += text; } } };
+    const exitCode = await main(argv, io);
+    assert.strictEqual(exitCode, EXIT_CODES.OK, `退出码应为 0，标准错误: ${stderr}`);
+    return JSON.parse(stdout);
+}
+
+(async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'inbreeding-cli-'));
+    try {
+        // 2. 母牛 C1 的祖父 (ffId) 是公牛 B1，配对后代的近交系数为 1/8；只有父母被加载时为 0
+        const cowsJson = path.join(directory, 'cows.json');
+        const cowsCsv = path.join(directory, 'cows.csv');
+        const bulls = path.join(directory, 'bulls.json');
+        fs.writeFileSync(cowsJson, JSON.stringify([{ sId: 'C1', fId: 'S1', mId: 'D1', ffId: 'B1', fmId: '' }]));
+        fs.writeFileSync(cowsCsv, 'sId,fId,mId,ffId,fmId,birth\nC1,S1,D1,B1,0,2021-03-02\n');
+        fs.writeFileSync(bulls, JSON.stringify([{ sId: 'B1' }]));
+
+        const fromJson = await run(['calc', '--cows', cowsJson, '--bulls', bulls, '--format', 'json']);
+        const fromCsv = await run(['calc', '--cows', cowsCsv, '--bulls', bulls, '--format', 'json']);
+        assert.strictEqual(fromJson[0].inbreedingCoefficient, 0.125);
+        assert.deepStrictEqual(fromCsv, fromJson, '宽表 CSV 与 JSON 的结果应一致');
+        console.log('JSON 与宽表 CSV:', fromJson[0].inbreedingCoefficient, fromCsv[0].inbreedingCoefficient);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+    console.log('--- 命令行读取谱系文件检查全部通过 ---');
+})().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
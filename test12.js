@@ -0,0 +1,63 @@
+// test12.js 并行批量计算 (calculateForMultipleCowsParallel) 的检查脚本：结果与 calculateForMultipleCows 一致，任一检查不通过时以非零退出码结束
+
+// 1. 引入模块
+const assert = require('assert');
+const { createCalculator } = require('./index.js');
+
+const quietLogger = { debug() {}, warn() {}, error() {} };
+
+// 2. 谱系：C1 是 B1 的女儿；C2 的母亲是 C1，但 C2 自己的记录中没有外祖父，把全部母牛记录合并为一个网络时才会得到 0.125；
+//    B2 是 B1 的儿子，只记录在公牛 B2 中，'pair' 范围下 C3 × B1 看不到这层关系；
+//    C4 的记录把公牛 B1 登记为母亲，其配对因性别冲突被跳过；第三条公牛记录缺少 ID
+const cows = [
+    { sId: 'C1', fId: 'B1', mId: 'D1' },
+    { sId: 'C2', fId: 'S2', mId: 'C1' },
+    { sId: 'C3', fId: 'B2', mId: 'D3', mfId: 'B1' },
+    { sId: 'C4', fId: 'S4', mId: 'B1' }
+];
+const bulls = [
+    { sId: 'B1', fId: 'G1', mId: 'G2' },
+    { sId: 'B2', fId: 'B1', mId: 'G3' },
+    {}
+];
+
+// 结果、警告与错误都需一致，错误只比较代码与说明
+const summarize = (report) => ({
+    results: report.results,
+    warnings: report.warnings,
+    errors: report.errors.map(error => ({ code: error.code, message: error.message }))
+});
+
+(async () => {
+    for (const pedigreeScope of ['merged', 'pair']) {
+        for (const method of ['path', 'tabular']) {
+            const calculator = createCalculator({ method, pedigreeScope, caching: true, logger: quietLogger });
+            const sequential = summarize(calculator.calculateForMultipleCows(cows, bulls, { report: true, completeness: true }));
+            for (const workers of [0, 2]) {
+                const parallel = summarize(await calculator.calculateForMultipleCowsParallel(cows, bulls, { report: true, completeness: true, workers, chunkSize: 2 }));
+                assert.deepStrictEqual(parallel, sequential, `${pedigreeScope} 范围、${method} 方法、${workers} 个线程时并行结果应与逐头计算一致`);
+            }
+            console.log(`${pedigreeScope} / ${method}:`, sequential.results.map(({ cowId, bullId, inbreedingCoefficient }) => `${cowId}×${bullId}=${inbreedingCoefficient}`).join(' '));
+        }
+    }
+
+    // 3. 两种范围下的结果确实不同，检查才有意义
+    const valueOf = (results, cowId, bullId) => results.find(result => result.cowId === cowId && result.bullId === bullId).inbreedingCoefficient;
+    const merged = await createCalculator({ method: 'tabular', pedigreeScope: 'merged', logger: quietLogger }).calculateForMultipleCowsParallel(cows, bulls, { workers: 0 });
+    const pair = await createCalculator({ method: 'tabular', pedigreeScope: 'pair', logger: quietLogger }).calculateForMultipleCowsParallel(cows, bulls, { workers: 0 });
+    assert.strictEqual(valueOf(merged, 'C2', 'B1'), 0, 'C2 自己的记录只给出母亲 C1，不应借用 C1 记录中的外祖父 B1');
+    assert.strictEqual(valueOf(merged, 'C3', 'B1'), 0.25);
+    assert.strictEqual(valueOf(pair, 'C3', 'B1'), 0.125, "'pair' 范围下公牛 B2 的记录不参与 C3 × B1");
+    assert.ok(!merged.some(result => result.cowId === 'C4' && result.bullId === 'B1'), '性别冲突的配对应被跳过');
+
+    // 4. 'reject' 策略下跨母牛记录的环路与逐头计算一样被拒绝
+    const rejecting = createCalculator({ pedigreeScope: 'merged', logger: quietLogger });
+    const looped = [{ sId: 'A', fId: 'B' }, { sId: 'B', fId: 'A' }];
+    await assert.rejects(rejecting.calculateForMultipleCowsParallel(looped, [{ sId: 'X' }], { workers: 0 }), { code: 'PEDIGREE_CYCLE' });
+    assert.throws(() => rejecting.calculateForMultipleCows(looped, [{ sId: 'X' }]), { code: 'PEDIGREE_CYCLE' });
+
+    console.log('--- 并行批量计算检查全部通过 ---');
+})().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
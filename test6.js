@@ -0,0 +1,71 @@
+// test6.js 选配方案 (planMatings / allocateMates) 的检查脚本，任一检查不通过时以非零退出码结束
+
+// 1. 引入模块
+const assert = require('assert');
+const { allocateMates, createCalculator } = require('./index.js');
+
+// 由 { 母牛ID: { 公牛ID: 近交系数 } } 生成配对结果数组
+const toResults = (table) => Object.entries(table).flatMap(([cowId, row]) =>
+    Object.entries(row).map(([bullId, inbreedingCoefficient]) => ({ cowId, bullId, inbreedingCoefficient })));
+const total = (plan) => plan.matings.reduce((sum, mating) => sum + mating.inbreedingCoefficient, 0);
+
+// 2. 贪心选择不是最优解：C1 先选 B1 (0.01) 会迫使 C2 选 B2 (0.10)，最优方案为 C1-B2、C2-B1，总和 0.04
+const crossed = toResults({
+    C1: { B1: 0.01, B2: 0.02 },
+    C2: { B1: 0.02, B2: 0.10 }
+});
+const optimalPlan = allocateMates(crossed, { defaultBullCap: 1 });
+assert.deepStrictEqual(optimalPlan.matings.map(({ cowId, bullId }) => `${cowId}-${bullId}`), ['C1-B2', 'C2-B1']);
+assert.ok(Math.abs(total(optimalPlan) - 0.04) < 1e-12, `总和应为 0.04，实际为 ${total(optimalPlan)}`);
+console.log('最优总和 (非贪心):', total(optimalPlan));
+
+// 3. 公牛使用上限：三头母牛都最适合 B1，但 B1 最多配两头
+const capped = toResults({
+    C1: { B1: 0.00, B2: 0.03 },
+    C2: { B1: 0.00, B2: 0.05 },
+    C3: { B1: 0.00, B2: 0.04 }
+});
+const cappedPlan = allocateMates(capped, { bullCaps: { B1: 2 } });
+const usage = Object.fromEntries(cappedPlan.bullUsage.map(({ bullId, count }) => [bullId, count]));
+assert.deepStrictEqual(usage, { B1: 2, B2: 1 });
+assert.strictEqual(cappedPlan.matings.find(mating => mating.bullId === 'B2').cowId, 'C1', '代价最小的改配应为 C1-B2');
+console.log('公牛使用次数:', usage);
+
+// 4. 超过 maxInbreeding 的配对与禁止的配对不会被采用
+const restricted = toResults({
+    C1: { B1: 0.01, B2: 0.08, B3: 0.03 },
+    C2: { B1: 0.02, B2: 0.01, B3: 0.09 }
+});
+const restrictedPlan = allocateMates(restricted, {
+    maxInbreeding: 0.0625,
+    forbiddenPairs: [{ cowId: 'C1', bullId: 'B1' }, { cowId: 'C2', bullId: 'B2' }]
+});
+assert.deepStrictEqual(restrictedPlan.matings.map(({ cowId, bullId }) => `${cowId}-${bullId}`), ['C1-B3', 'C2-B1']);
+assert.ok(restrictedPlan.matings.every(mating => mating.inbreedingCoefficient <= 0.0625));
+console.log('排除后的方案:', restrictedPlan.matings);
+
+// 5. 无法配对的母牛被列出，并给出原因
+const unmatched = toResults({
+    C1: { B1: 0.01 },
+    C2: { B1: 0.02 },
+    C3: { B1: 0.20 }
+});
+const unmatchedPlan = allocateMates(unmatched, { maxInbreeding: 0.0625, defaultBullCap: 1 });
+assert.deepStrictEqual(unmatchedPlan.unassignedCows, [
+    { cowId: 'C2', reason: 'BULL_CAPACITY' },
+    { cowId: 'C3', reason: 'NO_ELIGIBLE_BULL' }
+]);
+assert.strictEqual(unmatchedPlan.statistics.unassignedCount, 2);
+console.log('未分配的母牛:', unmatchedPlan.unassignedCows);
+
+// 6. 由谱系计算的完整流程：C1 是 B1 的女儿，启用 normalizeIds 时以别名写法禁止 C2 与 B2 配对
+const calculator = createCalculator({ pedigreeScope: 'merged', normalizeIds: true });
+const plan = calculator.planMatings(
+    [{ sId: 'C1', fId: 'HO840M1' }, { sId: 'C2' }],
+    [{ sId: 'HO840M1' }, { sId: 'HOUSAM2' }],
+    { maxInbreeding: 0.0625, forbiddenPairs: [{ cowId: 'C2', bullId: 'HO840M2' }] }
+);
+assert.deepStrictEqual(plan.matings.map(({ cowId, bullId }) => `${cowId}-${bullId}`), ['C1-HO840M2', 'C2-HO840M1']);
+console.log('谱系选配方案:', plan.matings);
+
+console.log('--- 选配方案检查全部通过 ---');
@@ -0,0 +1,42 @@
+// test7.js 整群近交系数 (Meuwissen–Luo, calculateHerdInbreeding) 的检查脚本，任一检查不通过时以非零退出码结束
+
+// 1. 引入模块
+const assert = require('assert');
+const { BreedingPlanner } = require('./pedigree.js');
+const { RelatednessCalculator } = require('./relatednessCalculator.js');
+const { calculateHerdInbreeding } = require('./index.js');
+
+// 2. 含多重环路的谱系：连续四代全同胞交配 (A×B → C, D → E, F → G, H → I)，
+//    另有半同胞交配 (J×K)、回交 (L = G×C) 与外来个体 X 的杂交 (M = X×I)
+const records = [
+    { sId: 'A', fId: 'S0', mId: 'D0' }, { sId: 'B', fId: 'S0', mId: 'D0' },
+    { sId: 'C', fId: 'A', mId: 'B' }, { sId: 'D', fId: 'A', mId: 'B' },
+    { sId: 'E', fId: 'C', mId: 'D' }, { sId: 'F', fId: 'C', mId: 'D' },
+    { sId: 'G', fId: 'E', mId: 'F' }, { sId: 'H', fId: 'E', mId: 'F' },
+    { sId: 'I', fId: 'G', mId: 'H' },
+    { sId: 'J', fId: 'G', mId: 'Y1' }, { sId: 'K', fId: 'G', mId: 'Y2' }, { sId: 'N', fId: 'J', mId: 'K' },
+    { sId: 'L', fId: 'G', mId: 'C' },
+    { sId: 'M', fId: 'X', mId: 'I' }
+];
+
+// 3. 全同胞交配各代的理论值 F(t) = [1 + 2F(t-1) + F(t-2)] / 4：0, 1/4, 3/8, 1/2, 19/32
+const expected = { A: 0, C: 0.25, E: 0.375, G: 0.5, I: 0.59375, M: 0 };
+const herd = calculateHerdInbreeding(records, { format: 'raw' });
+for (const [id, value] of Object.entries(expected)) {
+    assert.ok(Math.abs(herd.get(id) - value) < 1e-12, `${id} 的近交系数应为 ${value}，实际为 ${herd.get(id)}`);
+}
+console.log('全同胞交配各代:', Object.keys(expected).map(id => `${id}=${herd.get(id)}`).join(', '));
+
+// 4. 与表格法 (A 矩阵) 逐个体比较
+const planner = new BreedingPlanner();
+planner.loadPedigreeFromJson(records);
+const tabular = new RelatednessCalculator({ method: 'tabular', caching: true });
+const meuwissenLuo = new RelatednessCalculator().calculateHerdInbreeding(planner.animalMap.values());
+assert.strictEqual(meuwissenLuo.size, planner.animalMap.size, '每个个体（含祖先）都应有结果');
+for (const [id, animal] of planner.animalMap) {
+    const reference = tabular.calculateInbreeding(animal);
+    assert.ok(Math.abs(meuwissenLuo.get(id) - reference) < 1e-12, `${id}: Meuwissen–Luo ${meuwissenLuo.get(id)} 与表格法 ${reference} 不一致`);
+}
+console.log(`Meuwissen–Luo 与表格法一致，共 ${meuwissenLuo.size} 个个体。`);
+
+console.log('--- 整群近交系数检查全部通过 ---');
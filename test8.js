@@ -0,0 +1,68 @@
+// test8.js 共祖系数矩阵 (Colleau, calculateCoancestryMatrix / calculateKinshipMatrix) 的检查脚本，任一检查不通过时以非零退出码结束
+
+// 1. 引入模块
+const assert = require('assert');
+const { BreedingPlanner } = require('./pedigree.js');
+const { RelatednessCalculator } = require('./relatednessCalculator.js');
+const { createCalculator } = require('./index.js');
+
+// 2. 含多重环路的谱系：连续全同胞交配 (A×B → C, D → E, F → G, H)，G 与 H 又分别和祖先回交
+const records = [
+    { sId: 'A', fId: 'S0', mId: 'D0' }, { sId: 'B', fId: 'S0', mId: 'D0' },
+    { sId: 'C', fId: 'A', mId: 'B' }, { sId: 'D', fId: 'A', mId: 'B' },
+    { sId: 'E', fId: 'C', mId: 'D' }, { sId: 'F', fId: 'C', mId: 'D' },
+    { sId: 'G', fId: 'E', mId: 'F' }, { sId: 'H', fId: 'E', mId: 'F' },
+    { sId: 'COW1', fId: 'G', mId: 'D' }, { sId: 'COW2', fId: 'H', mId: 'Z1' }, { sId: 'COW3', fId: 'Z2', mId: 'Z3' },
+    { sId: 'BULL1', fId: 'E', mId: 'H' }, { sId: 'BULL2', fId: 'C', mId: 'Z4' }, { sId: 'BULL3', fId: 'Z5', mId: 'Z6' }
+];
+const planner = new BreedingPlanner();
+planner.loadPedigreeFromJson(records);
+const cows = ['COW1', 'COW2', 'COW3', 'G'].map(id => planner.getAnimal(id));
+const bulls = ['BULL1', 'BULL2', 'BULL3', 'H', 'G'].map(id => planner.getAnimal(id));
+
+// 3. Colleau 逐列求解的结果与表格法逐对计算一致（含个体与自身的共祖系数 (1 + F) / 2）
+const matrix = new RelatednessCalculator().calculateCoancestryMatrix(cows, bulls);
+const tabular = new RelatednessCalculator({ method: 'tabular', caching: true });
+cows.forEach((cow, row) => {
+    bulls.forEach((bull, column) => {
+        const reference = tabular.calculateOffspringInbreeding(bull, cow);
+        assert.ok(Math.abs(matrix[row][column] - reference) < 1e-12,
+            `${cow.getId()} × ${bull.getId()}: Colleau ${matrix[row][column]} 与表格法 ${reference} 不一致`);
+    });
+});
+// G × G 即 G 自身的 (1 + F) / 2，G 为第三代全同胞交配的后代，F = 1/2
+assert.strictEqual(matrix[3][4], 0.75);
+// 全同胞 G × H 的共祖系数等于其后代的近交系数 19/32
+assert.strictEqual(matrix[3][3], 0.59375);
+console.log('共祖系数矩阵:');
+matrix.forEach((row, index) => console.log(`  ${cows[index].getId()}: ${Array.from(row).join(', ')}`));
+
+// 4. 入口函数 calculateKinshipMatrix 按表格法计算时结果与之相同（祖先记录放在母牛一侧，矩阵中多出对应的行）
+const kinship = createCalculator({ method: 'tabular', format: 'raw' }).calculateKinshipMatrix(
+    records.filter(record => !record.sId.startsWith('BULL')),
+    records.filter(record => record.sId.startsWith('BULL'))
+);
+assert.deepStrictEqual(kinship.bullIds, ['BULL1', 'BULL2', 'BULL3']);
+cows.forEach((cow, row) => kinship.bullIds.forEach((bullId, column) => {
+    assert.ok(Math.abs(kinship.get(cow.getId(), bullId) - matrix[row][column]) < 1e-12, `${cow.getId()} × ${bullId} 不一致`);
+}));
+console.log(`calculateKinshipMatrix 一致，${kinship.cowIds.length} × ${kinship.bullIds.length}。`);
+
+// 5. calculateKinshipMatrix 按 method 计算：路径法的结果与逐对调用路径法相同（环路谱系上高于表格法）
+const pathMatrix = createCalculator({ method: 'path', format: 'raw' }).calculateKinshipMatrix(
+    records.filter(record => !record.sId.startsWith('BULL')),
+    records.filter(record => record.sId.startsWith('BULL'))
+);
+const pathCalculator = new RelatednessCalculator({ method: 'path', caching: true });
+cows.forEach(cow => pathMatrix.bullIds.forEach(bullId => {
+    const reference = pathCalculator.calculateOffspringInbreeding(planner.getAnimal(bullId), cow);
+    assert.strictEqual(pathMatrix.get(cow.getId(), bullId), reference, `${cow.getId()} × ${bullId} 未按路径法计算`);
+}));
+assert.ok(pathMatrix.get('COW1', 'BULL1') > kinship.get('COW1', 'BULL1'));
+console.log(`路径法 COW1 × BULL1: ${pathMatrix.get('COW1', 'BULL1')}，表格法: ${kinship.get('COW1', 'BULL1')}`);
+
+// 6. 母牛或公牛记录为空时抛出 InvalidInputError
+assert.throws(() => createCalculator().calculateKinshipMatrix([], records), { name: 'InvalidInputError' });
+assert.throws(() => createCalculator().calculateKinshipMatrix(records, []), { name: 'InvalidInputError' });
+
+console.log('--- 共祖系数矩阵检查全部通过 ---');
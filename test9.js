@@ -0,0 +1,61 @@
+// test9.js 祖先近交系数 (calculateAncestralInbreeding, ancestral 模式) 的检查脚本，任一检查不通过时以非零退出码结束
+
+// 1. 引入模块
+const assert = require('assert');
+const { BreedingPlanner } = require('./pedigree.js');
+const { RelatednessCalculator } = require('./relatednessCalculator.js');
+const { createCalculator } = require('./index.js');
+
+// 2. 连续全同胞交配 (A×B → C, D → E, F → G, H → I)，L 为 G 与 C 回交的后代
+const records = [
+    { sId: 'C', fId: 'A', mId: 'B' }, { sId: 'D', fId: 'A', mId: 'B' },
+    { sId: 'E', fId: 'C', mId: 'D' }, { sId: 'F', fId: 'C', mId: 'D' },
+    { sId: 'G', fId: 'E', mId: 'F' }, { sId: 'H', fId: 'E', mId: 'F' },
+    { sId: 'I', fId: 'G', mId: 'H' }, { sId: 'L', fId: 'G', mId: 'C' }
+];
+const planner = new BreedingPlanner();
+planner.loadPedigreeFromJson(records);
+// 基因下落为随机模拟，固定种子以保证结果可重复
+const geneDrop = { replicates: 20000, seed: 7 };
+const calculator = new RelatednessCalculator({ method: 'tabular' });
+
+// 3. Ballou 的 F_a 为解析值：F_a = [F_a,父 + (1 - F_a,父) F_父 + F_a,母 + (1 - F_a,母) F_母] / 2
+//    Kalinowski 的 F_new + F_anc 为基因下落对 F 的估计，应与 F 接近
+const expected = {
+    C: { inbreeding: 0, ballou: 0 },
+    E: { inbreeding: 0.25, ballou: 0 },
+    G: { inbreeding: 0.375, ballou: 0.25 },
+    I: { inbreeding: 0.5, ballou: 0.53125 },
+    L: { inbreeding: 0.375, ballou: 0.265625 }
+};
+for (const [id, { inbreeding, ballou }] of Object.entries(expected)) {
+    const result = calculator.calculateAncestralInbreeding(planner.getAnimal(id), geneDrop);
+    assert.strictEqual(result.inbreeding, inbreeding, `${id} 的 F 应为 ${inbreeding}`);
+    assert.strictEqual(result.ballou, ballou, `${id} 的 Ballou F_a 应为 ${ballou}`);
+    const sum = result.kalinowskiNew + result.kalinowskiAncestral;
+    assert.ok(Math.abs(sum - inbreeding) < 0.015, `${id} 的 F_new + F_anc = ${sum}，与 F = ${inbreeding} 相差过大`);
+    console.log(`${id}: F=${result.inbreeding} Ballou=${result.ballou} F_new=${result.kalinowskiNew} F_anc=${result.kalinowskiAncestral}`);
+}
+// 父母均为非近交个体 A、B 的后代中，相同的等位基因不可能在祖先中已经纯合
+const first = calculator.calculateAncestralInbreeding(planner.getAnimal('E'), geneDrop);
+assert.strictEqual(first.kalinowskiAncestral, 0);
+
+// 4. 相同的种子得到相同的模拟结果
+const repeated = new RelatednessCalculator({ method: 'tabular' }).calculateAncestralInbreeding(planner.getAnimal('I'), geneDrop);
+assert.deepStrictEqual(repeated, calculator.calculateAncestralInbreeding(planner.getAnimal('I'), geneDrop));
+
+// 5. 入口函数的 ancestral 模式：I × L 的假想后代
+const offspring = calculator.calculateOffspringAncestralInbreeding(planner.getAnimal('I'), planner.getAnimal('L'), geneDrop);
+assert.strictEqual(offspring.inbreeding, 0.484375);
+assert.strictEqual(offspring.ballou, 0.6533203125);
+// 公牛一侧传入全部记录，使合并后的谱系包含 I 的祖先；其中的母畜会产生跳过配对的警告，这里不输出
+const quietLogger = { debug() {}, warn() {}, error(message) { console.error(message); } };
+const result = createCalculator({ method: 'tabular', pedigreeScope: 'merged', format: 'raw', logger: quietLogger })
+    .calculateBreedingInbreeding(records.find(record => record.sId === 'L'), records, { ancestral: true, replicates: geneDrop.replicates })
+    .find(pair => pair.bullId === 'I');
+assert.strictEqual(result.inbreedingCoefficient, 0.484375);
+assert.strictEqual(result.ballouInbreeding, 0.6533203125);
+assert.ok(Math.abs(result.kalinowskiNewInbreeding + result.kalinowskiAncestralInbreeding - 0.484375) < 0.015);
+console.log('I × L 的后代:', result);
+
+console.log('--- 祖先近交系数检查全部通过 ---');